@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+let { readFileSync } = require('node:fs')
+let { relative, resolve } = require('node:path')
+let postcss = require('postcss')
+let { globSync } = require('tinyglobby')
+
+let mixins = require('./index.js')
+
+const USAGE =
+  'Usage: postcss-mixins <command> [options]\n\n' +
+  'Commands:\n' +
+  '  list               Show mixins with arguments and files\n' +
+  '  show <name>        Print mixin definition\n' +
+  '  expand <file>      Print CSS after mixins expansion\n' +
+  '  check <globs…>     Check stylesheets for undefined mixins ' +
+  'and wrong arguments\n\n' +
+  'Options:\n' +
+  '  --mixins-dir <dir>     Directory with mixins, can be used many times\n' +
+  '  --mixins-files <glob>  Files with mixins, can be used many times\n'
+
+function parseArgs(argv) {
+  let opts = { mixinsDir: [], mixinsFiles: [] }
+  let args = []
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--mixins-dir') {
+      opts.mixinsDir.push(argv[++i])
+    } else if (argv[i] === '--mixins-files') {
+      opts.mixinsFiles.push(argv[++i])
+    } else {
+      args.push(argv[i])
+    }
+  }
+  return { args, opts }
+}
+
+function formatLocation(item) {
+  if (!item.file) return ''
+  let location = relative(process.cwd(), item.file)
+  if (item.line) location += ':' + item.line
+  return location
+}
+
+function formatSignature(item) {
+  if (item.kind !== 'css') return `${item.name} (${item.kind})`
+  let args = item.args.map(arg => {
+    let text = '$' + arg.name
+    if (arg.type) text += ' ' + arg.type
+    if (arg.rest) text += '...'
+    if (arg.default) text += ': ' + arg.default
+    return text
+  })
+  let signature = `${item.name}(${args.join(', ')})`
+  if (item.guard) signature += ` when (${item.guard})`
+  return signature
+}
+
+function printWarnings(warnings) {
+  for (let warning of warnings) {
+    process.stderr.write(warning.toString() + '\n')
+  }
+}
+
+async function list(opts) {
+  let { mixins: items, warnings } = await mixins.loadMixins(opts)
+  printWarnings(warnings)
+  for (let item of items) {
+    let line = formatSignature(item)
+    let location = formatLocation(item)
+    if (location) line += '  ' + location
+    process.stdout.write(line + '\n')
+  }
+}
+
+async function show(opts, name) {
+  let { mixins: items, warnings } = await mixins.loadMixins(opts)
+  printWarnings(warnings)
+  let found = items.filter(item => item.name === name)
+  if (found.length === 0) throw new Error(`Unknown mixin ${name}`)
+  for (let item of found) {
+    let location = formatLocation(item)
+    if (location) process.stdout.write(`/* ${location} */\n`)
+    process.stdout.write(item.definition + '\n')
+  }
+}
+
+async function expand(opts, file) {
+  let result = await postcss([mixins(opts)]).process(readFileSync(file), {
+    from: resolve(file)
+  })
+  printWarnings(result.warnings())
+  process.stdout.write(result.css + '\n')
+}
+
+async function check(opts, globs) {
+  let files = globSync(globs, { ignore: ['**/node_modules/**'] })
+  if (files.length === 0) {
+    throw new Error(`No files match ${globs.join(' ')}`)
+  }
+  let problems = 0
+  for (let file of files) {
+    try {
+      let result = await postcss([
+        mixins({ ...opts, checkCalls: true, strict: true })
+      ]).process(readFileSync(file), { from: resolve(file) })
+      printWarnings(result.warnings())
+      problems += result.warnings().length
+    } catch (e) {
+      process.stderr.write(e.message + '\n')
+      problems += 1
+    }
+  }
+  if (problems > 0) {
+    throw new Error(`Found ${problems} problems in ${files.length} files`)
+  }
+  process.stdout.write(`Checked ${files.length} files\n`)
+}
+
+let { args, opts } = parseArgs(process.argv.slice(2))
+let [command, ...params] = args
+
+let task
+if (command === 'list') {
+  task = list(opts)
+} else if (command === 'show' && params.length === 1) {
+  task = show(opts, params[0])
+} else if (command === 'expand' && params.length === 1) {
+  task = expand(opts, params[0])
+} else if (command === 'check' && params.length > 0) {
+  task = check(opts, params)
+} else if (command === 'help' || command === '--help' || !command) {
+  process.stdout.write(USAGE)
+} else {
+  process.stderr.write(USAGE)
+  process.exitCode = 1
+}
+
+if (task) {
+  task.catch(e => {
+    process.stderr.write(e.message + '\n')
+    process.exitCode = 1
+  })
+}
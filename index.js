@@ -1,44 +1,223 @@
-let { readFileSync } = require('node:fs')
-let { basename, extname, join, relative } = require('node:path')
+let { existsSync, readFileSync, statSync } = require('node:fs')
+let { createRequire } = require('node:module')
+let {
+  basename,
+  dirname,
+  extname,
+  isAbsolute,
+  join,
+  resolve
+} = require('node:path')
+let { pathToFileURL } = require('node:url')
 let { parse } = require('postcss-js')
 let vars = require('postcss-simple-vars')
 let sugarss = require('sugarss')
 let { globSync } = require('tinyglobby')
 
 const MAYBE_QUOTED_PATTERN = /^["']?((?<=["']).+(?=["'])|(?:.+))["']?$/
+const COMPARISON_PATTERN =
+  /^(?<left>.*?)\s*(?<operator>[!=]=|[<>]=?)\s*(?<right>.*)$/
+const NUMBER_PATTERN = /^(?<number>[+-]?(?:\d*\.)?\d+)(?<unit>[a-z%]*)$/i
+const EACH_PATTERN = /^\$(?<variable>[\w-]+)\s+in\s+(?<list>[\S\s]+)$/
+const GROUP_PATTERN = /^(?:raw|single-arg)\s*\(/
+const VARIABLE_PATTERN = /\$\(([\w-]+)\)|\$([\w-]+)/g
+const KEYWORD_ARGUMENT_PATTERN = /^\$(?<key>[\w-]+)\s*:(?<value>[\S\s]*)$/
+const USING_PATTERN = /\s*\busing\s*\((?<names>[^)]*)\)$/
+const GUARD_PATTERN = /\s+when\s+(?<guard>[\S\s]+)$/
+const FLAGS_PATTERN = /(?:\s+(?:extendable|lenient))+$/
+const SLOT_PATTERN = /^slot\(\s*(?<slot>[\w-]+)\s*\)\s*/
+const IMPORT_PATTERN =
+  /^(?<quote>["'])(?<path>.+)\k<quote>(?:\s+as\s+(?<namespace>[\w-]+|\*))?$/
+const NUMBER = '[+-]?(?:\\d*\\.)?\\d+(?:e[+-]?\\d+)?'
+const LENGTH =
+  '(?:cm|mm|q|in|pc|pt|px|r?(?:cap|ch|em|ex|ic|lh)|' +
+  '[dls]?v(?:[bhiw]|max|min)|cq(?:[bhiw]|max|min))'
+const TYPE_PATTERN = /^(?:<[\w-]+>|one-of\(.+\))$/
+const FUNCTION_PATTERN = /^(?:attr|calc|clamp|env|max|min|var)\(.*\)$/i
+const TYPE_PATTERNS = {
+  'angle': new RegExp(`^${NUMBER}(?:deg|grad|rad|turn)$`, 'i'),
+  'color': new RegExp(
+    '^(?:#(?:[\\da-f]{3,4}|[\\da-f]{6}|[\\da-f]{8})|' +
+      '(?:color|color-mix|hsla?|hwb|lab|lch|light-dark|oklab|oklch|rgba?)' +
+      '\\(.*\\))$',
+    'i'
+  ),
+  'ident': /^-?[_a-z][\w-]*$/i,
+  'integer': /^[+-]?\d+$/,
+  'length': new RegExp(`^(?:0|${NUMBER}${LENGTH})$`, 'i'),
+  'length-percentage': new RegExp(`^(?:0|${NUMBER}(?:${LENGTH}|%))$`, 'i'),
+  'number': new RegExp(`^${NUMBER}$`, 'i'),
+  'percentage': new RegExp(`^${NUMBER}%$`, 'i'),
+  'time': new RegExp(`^${NUMBER}m?s$`, 'i')
+}
+const NAMED_COLORS = new Set(
+  (
+    'aliceblue antiquewhite aqua aquamarine azure beige bisque black ' +
+    'blanchedalmond blue blueviolet brown burlywood cadetblue chartreuse ' +
+    'chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan ' +
+    'darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta ' +
+    'darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen ' +
+    'darkslateblue darkslategray darkslategrey darkturquoise darkviolet ' +
+    'deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite ' +
+    'forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green ' +
+    'greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender ' +
+    'lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan ' +
+    'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon ' +
+    'lightseagreen lightskyblue lightslategray lightslategrey lightsteelblue ' +
+    'lightyellow lime limegreen linen magenta maroon mediumaquamarine ' +
+    'mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue ' +
+    'mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream ' +
+    'mistyrose moccasin navajowhite navy oldlace olive olivedrab orange ' +
+    'orangered orchid palegoldenrod palegreen paleturquoise palevioletred ' +
+    'papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red ' +
+    'rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell sienna ' +
+    'silver skyblue slateblue slategray slategrey snow springgreen steelblue ' +
+    'tan teal thistle tomato turquoise violet wheat white whitesmoke yellow ' +
+    'yellowgreen transparent currentcolor'
+  ).split(' ')
+)
+const FUNCTION_CALL_PATTERN = /(?<![\w$.-])(?<name>[\w-]+(?:\.[\w-]+)*)\(/g
+const MAX_DEPTH = 100
+const MAX_NODES = 10000
 let MIXINS_GLOB = '*.{js,cjs,mjs,json,css,sss,pcss}'
+const MIXINS_EXTENSIONS = /\.(?:js|cjs|mjs|json|css|sss|pcss)$/i
+
+let cache = new Map()
+let expansionSizes = new WeakMap()
+
+function isPromise(value) {
+  return typeof value?.then === 'function'
+}
+
+// Keeps processing sync until some mixin or file actually returns a promise
+function chain(value, callback) {
+  return isPromise(value) ? value.then(callback) : callback(value)
+}
+
+function series(items, callback, start = 0) {
+  for (let i = start; i < items.length; i++) {
+    let result = callback(items[i])
+    if (isPromise(result)) {
+      return result.then(() => series(items, callback, i + 1))
+    }
+  }
+}
+
+function attempt(callback, onError) {
+  try {
+    let result = callback()
+    return isPromise(result) ? result.catch(onError) : result
+  } catch (e) {
+    return onError(e)
+  }
+}
 
 function parseMixin(rule) {
+  let params = rule.params
+  let using = []
+  let clause = params.match(USING_PATTERN)
+  if (clause) {
+    params = params.slice(0, clause.index)
+    using = clause.groups.names.split(',').map(param => {
+      param = param.trim()
+      if (!/^\$[\w-]+$/.test(param)) {
+        throw rule.error(`Invalid using parameters: ${clause.groups.names}`)
+      }
+      return param.slice(1)
+    })
+  }
+
+  let guard
+  clause = rule.name === 'mixin' && params.match(GUARD_PATTERN)
+  if (clause) {
+    params = params.slice(0, clause.index)
+    guard = clause.groups.guard.trim()
+    if (
+      guard.startsWith('(') &&
+      findClosingBracket(guard, 0) === guard.length - 1
+    ) {
+      guard = guard.slice(1, -1).trim()
+    }
+  }
+  let flags = (rule.name === 'mixin' && params.match(FLAGS_PATTERN)?.[0]) || ''
+  params = params.slice(0, params.length - flags.length)
+  let extendable = /\bextendable\b/.test(flags)
+  let lenient = /\blenient\b/.test(flags)
+
   let { name, paramString } =
-    rule.params.match(
-      /^(?<name>[a-zA-Z_-]+).?(?<paramString>(?:(?<=\().+(?=\))|(?<=\s).+))?.?$/
+    params.match(
+      /^(?<name>[\w-]+(?:[./][\w-]+)*).?(?<paramString>(?:(?<=\().+(?=\))|(?<=\s).+))?.?$/
     )?.groups ?? []
 
   if (!name) {
     throw rule.error(`Invalid mixin definition: ${rule.toString()}`)
   }
 
+  name = name.replaceAll('/', '.')
+
   paramString = paramString?.trim() ?? ''
 
-  return { name, paramString }
+  return { extendable, guard, lenient, name, paramString, using }
 }
 
 const unwrap = str => str.match(MAYBE_QUOTED_PATTERN)?.[1] ?? str
 
-function addMixin(helpers, mixins, rule, file) {
-  let { name, paramString } = parseMixin(rule)
+function isKnownType(type) {
+  if (!TYPE_PATTERN.test(type)) return false
+  let name = type.slice(1, -1)
+  return (
+    type.startsWith('one-of(') ||
+    name === 'any' ||
+    Object.hasOwn(TYPE_PATTERNS, name)
+  )
+}
 
+function parseDefinition(helpers, node, label, paramString) {
   let args = []
+  let rest = false
   if (paramString.length) {
     args = helpers.list.comma(paramString).map(str => {
-      let arg = str.split(':', 1)[0]
-      let defaults = str.slice(arg.length + 1).trim()
-      arg = arg.slice(1).trim()
+      if (rest) {
+        throw node.error(`Rest argument must be the last in ${label}`)
+      }
+      let definition = str.split(':', 1)[0]
+      let defaults = str.slice(definition.length + 1).trim()
+      let [arg, type] = definition
+        .slice(1)
+        .trim()
+        .split(/\s+(.*)/)
       defaults = unwrap(defaults)
+      if (arg.endsWith('...')) {
+        arg = arg.slice(0, -3)
+        rest = true
+      } else if (type?.endsWith('...')) {
+        type = type.slice(0, -3)
+        rest = true
+      }
+      if (!type) return [arg, defaults]
 
-      return [arg, defaults]
+      if (!isKnownType(type)) {
+        throw node.error(`Unknown type ${type} of $${arg} in ${label}`)
+      }
+      return [arg, defaults, type]
     })
   }
+  return { args, rest }
+}
+
+function getDefinition(helpers, node, name, args) {
+  let paramString = [].concat(args).join(', ')
+  return parseDefinition(helpers, node, `mixin ${name}`, paramString)
+}
+
+function hasContent(obj) {
+  return JSON.stringify(obj).includes('"@mixin-content')
+}
+
+function addMixin(helpers, mixins, rule, file) {
+  let { extendable, guard, lenient, name, paramString } = parseMixin(rule)
+  let label = `${rule.name} ${name}`
+  let { args, rest } = parseDefinition(helpers, rule, label, paramString)
 
   let content = false
   rule.walkAtRules('mixin-content', () => {
@@ -46,58 +225,349 @@ function addMixin(helpers, mixins, rule, file) {
     return false
   })
 
-  mixins[name] = { args, content, mixin: rule }
-  if (file) mixins[name].file = file
+  // Functions share the registry with mixins, brackets keep names apart
+  if (rule.name === 'function') name += '()'
+  let meta = { args, content, mixin: rule, rest }
+  if (extendable) meta.extendable = true
+  if (lenient) meta.lenient = true
+  if (guard) meta.guard = guard
+  if (file) meta.file = file
+
+  let prev = mixins[name]
+  let replaced = prev
+  if (rule.name === 'mixin' && prev?.args) {
+    let overloads = prev.overloads ?? [prev]
+    replaced = overloads.find(i => {
+      return (
+        i.args.length === args.length && i.rest === rest && i.guard === guard
+      )
+    })
+    overloads = overloads.filter(i => i !== replaced)
+    if (overloads.length > 0) meta.overloads = overloads.concat(meta)
+  }
+  mixins[name] = meta
   rule.remove()
+  return replaced
 }
 
-function processModulesForHotReloadRecursively(module, helpers) {
+function isInclude(node) {
+  return (
+    node.type === 'atrule' &&
+    (node.name === 'include' || node.name === 'add-mixin')
+  )
+}
+
+function isDefinition(node) {
+  if (node.type !== 'atrule') return false
+  // Names with -- are native CSS custom functions, they are for browsers
+  return (
+    node.name === 'mixin' ||
+    (node.name === 'function' && !node.params.startsWith('--'))
+  )
+}
+
+function getScope(mixins, node) {
+  let parent = node.parent
+  if (parent.type === 'root') return mixins
+  if (!parent.mixinScope) parent.mixinScope = {}
+  return parent.mixinScope
+}
+
+function findMixin(mixins, node, name) {
+  let parent = node.parent
+  while (parent && parent.type !== 'root') {
+    if (parent.mixinScope?.[name]) return parent.mixinScope[name]
+    parent = parent.parent
+  }
+  return mixins[name]
+}
+
+function hoistMixins(helpers, mixins, parent, hoisted = new Set()) {
+  parent.each(node => {
+    if (isDefinition(node)) {
+      let replaced = addMixin(helpers, getScope(mixins, node), node)
+      if (hoisted.has(replaced?.mixin)) {
+        let { name } = parseMixin(node)
+        node.warn(
+          helpers.result,
+          `@${node.name} ${name} is defined twice in the same scope, ` +
+            'the last definition is used by all @include'
+        )
+      }
+      hoisted.add(node)
+    } else if (node.nodes && !isInclude(node)) {
+      hoistMixins(helpers, mixins, node, hoisted)
+    }
+  })
+}
+
+function processModulesForHotReloadRecursively(module, dependencies) {
   let moduleId = module.id
   module.children.forEach(childModule => {
-    helpers.result.messages.push({
+    dependencies.push({
       file: childModule.id,
       parent: moduleId,
       type: 'dependency'
     })
-    processModulesForHotReloadRecursively(childModule, helpers)
+    processModulesForHotReloadRecursively(childModule, dependencies)
   })
   delete require.cache[moduleId]
 }
 
-function loadGlobalMixin(helpers, globs) {
-  let cwd = process.cwd()
-  let files = globSync(globs, {
+function isModuleFile(path) {
+  let ext = extname(path).toLowerCase()
+  if (ext === '.mjs') return true
+  if (ext !== '.js') return false
+  let dir = dirname(path)
+  while (true) {
+    let pkg = join(dir, 'package.json')
+    if (existsSync(pkg)) {
+      return JSON.parse(readFileSync(pkg)).type === 'module'
+    }
+    let parent = dirname(dir)
+    if (parent === dir) return false
+    dir = parent
+  }
+}
+
+async function importModule(path) {
+  // Query with mtime makes Node.js load a new copy after file changes
+  let url = pathToFileURL(path).href + '?' + statSync(path).mtimeMs
+  let module = await import(url)
+  return module.default
+}
+
+function readMixinFile(helpers, path) {
+  let ext = extname(path).toLowerCase()
+  let name = basename(path, extname(path))
+  let mixins = {}
+  let dependencies = []
+  if (ext === '.css' || ext === '.pcss' || ext === '.sss') {
+    let content = readFileSync(path)
+    let root
+    if (ext === '.sss') {
+      root = sugarss.parse(content, { from: path })
+    } else {
+      root = helpers.parse(content, { from: path })
+    }
+    root.walkAtRules(atrule => {
+      if (isDefinition(atrule)) addMixin(helpers, mixins, atrule, path)
+    })
+  } else if (isModuleFile(path)) {
+    return importModule(path).then(mixin => {
+      mixins[name] = { file: path, mixin }
+      return { dependencies, mixins }
+    })
+  } else {
+    mixins[name] = { file: path, mixin: require(path) }
+    let module = require.cache[require.resolve(path)]
+    if (module) {
+      processModulesForHotReloadRecursively(module, dependencies)
+    }
+  }
+  return { dependencies, mixins }
+}
+
+function getFileStamp(path) {
+  let stat = statSync(path, { throwIfNoEntry: false })
+  return stat ? `${stat.mtimeMs}:${stat.size}` : ''
+}
+
+function loadMixinFile(helpers, path, opts) {
+  let cached = opts.cache !== false && cache.get(path)
+  let isChanged = ([file, stamp]) => getFileStamp(file) !== stamp
+  let loading = cached
+  if (!cached || cached.stamps.some(isChanged)) {
+    let stamp = getFileStamp(path)
+    loading = chain(
+      readMixinFile(helpers, path),
+      ({ dependencies, mixins }) => {
+        let stamps = [[path, stamp]].concat(
+          dependencies.map(i => [i.file, getFileStamp(i.file)])
+        )
+        let loaded = { dependencies, mixins, stamps }
+        cache.set(path, loaded)
+        return loaded
+      }
+    )
+  }
+  return chain(loading, loaded => {
+    helpers.result.messages.push(...loaded.dependencies)
+    return loaded.mixins
+  })
+}
+
+function reportLoadProblem(helpers, opts, text, file, cause) {
+  if (opts.strict) {
+    let error = new Error(text, { cause })
+    error.file = file
+    throw error
+  }
+  let warning = { file }
+  if (cause) warning.error = cause
+  helpers.result.warn(text, warning)
+}
+
+function findMixinFiles(globs, cwd = process.cwd()) {
+  return globSync(globs, {
     caseSensitiveMatch: false,
+    cwd,
     expandDirectories: false,
     ignore: ['**/node_modules/**', '**/.git/**']
+  }).map(i => resolve(cwd, i))
+}
+
+function findPackageFile(name) {
+  // Package can hide package.json in exports, so we look for it by ourselves
+  let from = createRequire(join(process.cwd(), 'index.js'))
+  for (let dir of from.resolve.paths(name) ?? []) {
+    let pkgFile = join(dir, name, 'package.json')
+    if (existsSync(pkgFile)) return pkgFile
+  }
+}
+
+function findPackageMixins(helpers, opts, name) {
+  let pkgFile = findPackageFile(name)
+  if (!pkgFile) {
+    reportLoadProblem(
+      helpers,
+      opts,
+      `Could not find mixins package ${name}`,
+      name
+    )
+    return []
+  }
+
+  let field
+  try {
+    field = JSON.parse(readFileSync(pkgFile))['postcss-mixins']
+  } catch (e) {
+    reportLoadProblem(
+      helpers,
+      opts,
+      `Could not read ${pkgFile}: ${e.message}`,
+      pkgFile,
+      e
+    )
+    return []
+  }
+  if (!field) {
+    reportLoadProblem(
+      helpers,
+      opts,
+      `Package ${name} has no "postcss-mixins" field in package.json`,
+      pkgFile
+    )
+    return []
+  }
+
+  let cwd = dirname(pkgFile)
+  let globs = [].concat(field).map(entry => {
+    if (statSync(join(cwd, entry), { throwIfNoEntry: false })?.isDirectory()) {
+      entry = join(entry, MIXINS_GLOB)
+    }
+    return entry.replace(/\\/g, '/')
+  })
+  return findMixinFiles(globs, cwd)
+}
+
+function loadNamespacedMixins(helpers, sources, packages, opts) {
+  let mixins = {}
+  let namespaces = new Set(Object.keys(sources).concat(Object.keys(packages)))
+  let loading = series(Array.from(namespaces), namespace => {
+    let files = findMixinFiles(sources[namespace] ?? [])
+    for (let name of packages[namespace] ?? []) {
+      files.push(...findPackageMixins(helpers, opts, name))
+    }
+    return chain(loadGlobalMixin(helpers, files, opts), global => {
+      addNamespace(mixins, global, namespace)
+    })
   })
+  return chain(loading, () => mixins)
+}
+
+function addNamespace(target, mixins, namespace) {
+  for (let name in mixins) {
+    target[namespace ? `${namespace}.${name}` : name] = mixins[name]
+  }
+  return target
+}
+
+function isMixinsImport(node) {
+  if (node.type !== 'atrule') return false
+  if (node.name === 'import-mixins') return true
+  if (node.name !== 'use') return false
+  // Sass modules like @use "sass:math" or "./variables" belong to Sass
+  let path = node.params.match(IMPORT_PATTERN)?.groups.path ?? ''
+  let isFile = /^\.\.?\//.test(path) || isAbsolute(path)
+  return isFile && MIXINS_EXTENSIONS.test(path)
+}
+
+function importMixins(helpers, mixins, imports, opts) {
+  return series(imports, node => {
+    let { namespace, path } = node.params.match(IMPORT_PATTERN)?.groups ?? {}
+    if (!path) {
+      throw node.error(`Invalid @${node.name} path: ${node.params}`)
+    }
+    if (!namespace && node.name === 'use') {
+      namespace = basename(path, extname(path))
+    } else if (namespace === '*') {
+      namespace = ''
+    }
+
+    let from = node.source?.input.file
+    let files = findMixinFiles([path], from ? dirname(from) : process.cwd())
+    if (files.length === 0) {
+      throw node.error(`Could not find mixins file ${path}`)
+    }
+    return chain(loadGlobalMixin(helpers, files, opts), imported => {
+      addGlobalMixins(
+        helpers,
+        mixins,
+        addNamespace({}, imported, namespace),
+        from
+      )
+      node.remove()
+    })
+  })
+}
+
+function loadGlobalMixin(helpers, files, opts) {
   let mixins = {}
-  files.forEach(i => {
-    let ext = extname(i).toLowerCase()
-    let name = basename(i, extname(i))
-    let path = join(cwd, relative(cwd, i))
-    if (ext === '.css' || ext === '.pcss' || ext === '.sss') {
-      let content = readFileSync(path)
-      let root
-      if (ext === '.sss') {
-        root = sugarss.parse(content, { from: path })
-      } else {
-        root = helpers.parse(content, { from: path })
+  let loading = series(files, path => {
+    let fileMixins = attempt(
+      () => loadMixinFile(helpers, path, opts),
+      e => {
+        helpers.result.messages.push({
+          file: path,
+          parent: opts.parent || '',
+          type: 'dependency'
+        })
+        reportLoadProblem(
+          helpers,
+          opts,
+          `Could not load mixins from ${path}: ${e.message}`,
+          path,
+          e
+        )
+        return {}
       }
-      root.walkAtRules('mixin', atrule => {
-        addMixin(helpers, mixins, atrule, path)
-      })
-    } else {
-      try {
-        mixins[name] = { file: path, mixin: require(path) }
-        let module = require.cache[require.resolve(path)]
-        if (module) {
-          processModulesForHotReloadRecursively(module, helpers)
+    )
+    return chain(fileMixins, loaded => {
+      for (let name in loaded) {
+        if (mixins[name]) {
+          reportLoadProblem(
+            helpers,
+            opts,
+            `Mixin ${name} is defined in both ${mixins[name].file} and ${path}`,
+            path
+          )
         }
-      } catch {}
-    }
+        mixins[name] = loaded[name]
+      }
+    })
   })
-  return mixins
+  return chain(loading, () => mixins)
 }
 
 function addGlobalMixins(helpers, local, global, parent) {
@@ -123,116 +593,853 @@ function watchNewMixins(helpers, mixinsDirs) {
   }
 }
 
-function processMixinContent(rule, from) {
+function setMixinStack(parent, stack) {
+  parent.walk(node => {
+    if (!node.mixinStack) node.mixinStack = stack
+  })
+}
+
+function formatLocation({ column, file, line }) {
+  let location = file ?? '<css input>'
+  if (line) location += ':' + line
+  if (column) location += ':' + column
+  return location
+}
+
+function addBacktrace(error, stack) {
+  if (!error.mixinStack && stack && stack.length > 0) {
+    error.mixinStack = stack
+    let backtrace = stack
+      .map(frame => {
+        let line = `\n  in mixin ${frame.mixin}`
+        if (frame.file || frame.line) {
+          line += ` defined at ${formatLocation(frame)}`
+        }
+        return line + `, included from ${formatLocation(frame.include)}`
+      })
+      .join('')
+    if (error.name === 'CssSyntaxError') {
+      error.reason += backtrace
+      error.setMessage()
+    } else {
+      error.message += backtrace
+    }
+  }
+  return error
+}
+
+function withBacktrace(stack, callback) {
+  return attempt(callback, e => {
+    throw addBacktrace(e, stack)
+  })
+}
+
+function bindContent(helpers, content, nodes, using) {
+  let passed = content.params ? helpers.list.comma(content.params) : []
+  let values = {}
+  for (let i = 0; i < using.length; i++) {
+    values[using[i]] = passed[i] ?? ''
+  }
+  let root = new helpers.Root()
+  root.append(nodes)
+  return helpers.postcss([vars({ only: values })]).process(root).root.nodes
+}
+
+function parseSlot(content) {
+  if (!content.slot) {
+    let match = content.params.match(SLOT_PATTERN)
+    content.slot = match?.groups.slot ?? 'default'
+    if (match) content.params = content.params.slice(match[0].length)
+  }
+}
+
+function getSlots(rule) {
+  let slots = {}
+  for (let node of rule.nodes ?? []) {
+    if (node.type === 'atrule' && node.name === 'slot') {
+      slots[node.params || 'default'] = node.nodes ?? []
+    } else {
+      slots.default = (slots.default ?? []).concat(node)
+    }
+  }
+  return slots
+}
+
+function processMixinContent(helpers, rule, from, using) {
+  let slots = getSlots(from)
   rule.walkAtRules('mixin-content', content => {
-    if (from.nodes && from.nodes.length > 0) {
-      content.replaceWith(from.clone().nodes)
+    parseSlot(content)
+    let nodes = content.nodes ?? []
+    if (slots[content.slot]) {
+      nodes = slots[content.slot].map(node => node.clone())
+      if (using.length > 0) nodes = bindContent(helpers, content, nodes, using)
+      for (let node of nodes) {
+        if (!node.mixinStack) node.mixinStack = from.mixinStack ?? []
+        if (node.nodes) setMixinStack(node, node.mixinStack)
+      }
+    }
+    if (nodes.length > 0) {
+      content.replaceWith(nodes)
     } else {
       content.remove()
     }
   })
 }
 
-function insertObject(rule, obj, singeArgumentsMap) {
-  let root = parse(obj)
+function matchesType(type, value) {
+  if (type.startsWith('one-of(')) {
+    return type
+      .slice(7, -1)
+      .split(',')
+      .some(option => option.trim() === value)
+  }
+  let name = type.slice(1, -1)
+  if (name === 'any' || FUNCTION_PATTERN.test(value)) return true
+  if (name === 'color' && NAMED_COLORS.has(value.toLowerCase())) return true
+  return TYPE_PATTERNS[name].test(value)
+}
+
+function checkTypes(helpers, rule, label, meta, values) {
+  for (let i = 0; i < meta.args.length; i++) {
+    let [arg, , type] = meta.args[i]
+    if (!type) continue
+    let value = values[arg]
+    if (value === '') {
+      throw rule.error(`Missing required argument $${arg} in ${label}`)
+    }
+    let items = [value]
+    if (meta.rest && i === meta.args.length - 1) {
+      items = helpers.list.comma(value)
+    }
+    for (let item of items) {
+      if (!matchesType(type, item)) {
+        throw rule.error(
+          `Argument $${arg} in ${label} should be ${type}, got ${item}`
+        )
+      }
+    }
+  }
+}
+
+function checkNesting(rule, name, opts) {
+  let names = (rule.mixinStack ?? []).map(frame => frame.mixin).reverse()
+  let index = names.indexOf(name)
+  if (index !== -1) {
+    let cycle = names.slice(index).concat(name).join(' -> ')
+    throw rule.error(`Mixin cycle detected: ${cycle}`)
+  }
+  let maxDepth = opts.maxDepth ?? MAX_DEPTH
+  if (names.length >= maxDepth) {
+    throw rule.error(`Mixins nesting is deeper than ${maxDepth} levels`)
+  }
+}
+
+function checkSize(rule, nodes, call) {
+  let size = 0
+  for (let node of nodes) {
+    size += 1
+    node.walk?.(() => {
+      size += 1
+    })
+  }
+  // Nested mixins add their nodes to the limit of top-level @include
+  let top = call.stack[call.stack.length - 1]
+  size += expansionSizes.get(top) ?? 0
+  expansionSizes.set(top, size)
+  if (size > call.maxNodes) {
+    throw rule.error(
+      `Mixin ${top.mixin} generated more than ${call.maxNodes} nodes`
+    )
+  }
+}
+
+function extendMixin(rule, proxy, call) {
+  let caller = rule.parent
+  let container = caller.parent
+  let key = call.name + '\n' + proxy.toString()
+  if (!container.mixinExtends) container.mixinExtends = new Map()
+  let shared = container.mixinExtends.get(key)
+  // Merging into not adjacent rule could change the order of declarations
+  if (shared && caller.prev()?.proxyOf === shared) {
+    let selectors = caller.selectors.filter(i => !shared.selectors.includes(i))
+    shared.selectors = shared.selectors.concat(selectors)
+    caller.remove()
+  } else {
+    caller.insertBefore(rule, proxy)
+    container.mixinExtends.set(key, caller.proxyOf)
+  }
+}
+
+function insertObject(helpers, rule, obj, call) {
+  let body = { ...obj }
+  delete body['@args']
+  delete body['@lenient']
+  let root = parse(body)
   root.each(node => {
     node.source = rule.source
   })
-  processMixinContent(root, rule)
-  unwrapSingleArguments(root.nodes, singeArgumentsMap)
+  if (call.values) {
+    groupIncludeArguments(helpers, root, call.values, call.definition)
+    root = helpers.postcss([vars({ only: call.values })]).process(root).root
+    processControlFlow(helpers, root)
+  }
+  if (call.singleArgs?.length > 0) {
+    root.walkDecls(decl => {
+      for (let [wrapped, content] of call.singleArgs) {
+        decl.value = decl.value.replaceAll(wrapped, content)
+      }
+    })
+  }
+  processMixinContent(helpers, root, rule, call.using)
+  checkSize(rule, root.nodes, call)
+  setMixinStack(root, call.stack)
   rule.parent.insertBefore(rule, root)
 }
 
-function unwrapSingleArguments(rules, singleArgumentsMap) {
-  if (singleArgumentsMap.size <= 0) {
-    return
+function insertFunctionMixin(helpers, mixins, rule, opts, call) {
+  let nested = []
+  rule.walkAtRules(atRule => {
+    if (isInclude(atRule)) nested.push(atRule)
+  })
+  let inserting = series(nested, atRule => {
+    if (atRule.parent) {
+      return insertMixin(helpers, mixins, atRule, opts, call.usage)
+    }
+  })
+
+  return chain(inserting, () => {
+    rule.slots = getSlots(rule)
+    // Mixin can add nodes by rule.replaceWith() or rule.parent.after()
+    let containers = [rule.parent, rule.parent.parent]
+      .filter(Boolean)
+      .map(container => container.proxyOf)
+    let before = new Set(containers.flatMap(container => container.nodes))
+    return chain(call.mixin(rule, ...call.params), nodes => {
+      let added = containers
+        .flatMap(container => container.nodes)
+        .filter(node => !before.has(node))
+      checkSize(rule, added, call)
+      for (let node of added) {
+        if (!node.mixinStack) node.mixinStack = call.stack
+        if (node.walk) setMixinStack(node, call.stack)
+      }
+      if (typeof nodes === 'object') {
+        insertObject(helpers, rule, nodes, call)
+      }
+      if (rule.parent) rule.remove()
+    })
+  })
+}
+
+function isTruthy(value) {
+  return value !== '' && value !== 'false' && value !== 'null'
+}
+
+function compareNumbers(node, left, right) {
+  let a = left.match(NUMBER_PATTERN)?.groups
+  let b = right.match(NUMBER_PATTERN)?.groups
+  if (!a || !b || (a.unit && b.unit && a.unit !== b.unit)) {
+    throw node.error(`Could not compare ${left} and ${right}`)
   }
+  return parseFloat(a.number) - parseFloat(b.number)
+}
 
-  for (let rule of rules) {
-    if (rule.type === 'decl') {
-      if (rule.value.includes('single-arg')) {
-        let newValue = rule.value
-        for (let [key, value] of singleArgumentsMap) {
-          newValue = newValue.replace(key, value)
+function evaluateComparison(node, expression) {
+  let comparison = expression.match(COMPARISON_PATTERN)?.groups
+  if (!comparison) return isTruthy(unwrap(expression))
+
+  let left = unwrap(comparison.left)
+  let right = unwrap(comparison.right)
+  switch (comparison.operator) {
+    case '!=':
+      return left !== right
+    case '<':
+      return compareNumbers(node, left, right) < 0
+    case '<=':
+      return compareNumbers(node, left, right) <= 0
+    case '==':
+      return left === right
+    case '>':
+      return compareNumbers(node, left, right) > 0
+    default:
+      return compareNumbers(node, left, right) >= 0
+  }
+}
+
+function evaluateCondition(node, condition) {
+  return condition.split(/\s+or\s+/).some(part => {
+    return part.split(/\s+and\s+/).every(expression => {
+      expression = expression.trim()
+      if (expression.startsWith('not ')) {
+        return !evaluateComparison(node, expression.slice(4).trim())
+      }
+      return evaluateComparison(node, expression)
+    })
+  })
+}
+
+function isControlRule(node, name) {
+  return node && node.type === 'atrule' && node.name === name
+}
+
+function processControlFlow(helpers, parent) {
+  let node = parent.first
+  while (node) {
+    let next = node.next()
+    let nodes
+    if (isControlRule(node, 'if')) {
+      let branches = [node]
+      while (isControlRule(next, 'else')) {
+        branches.push(next)
+        next = next.next()
+      }
+      let chosen = branches.find(branch => {
+        if (branch.name === 'if') {
+          return evaluateCondition(branch, branch.params)
+        } else if (branch.params === '') {
+          return true
+        } else if (!branch.params.startsWith('if ')) {
+          throw branch.error(`Invalid @else condition: ${branch.params}`)
         }
-        rule.value = newValue
+        return evaluateCondition(branch, branch.params.slice(3))
+      })
+      nodes = chosen?.nodes ? chosen.nodes.slice() : []
+      node.before(nodes)
+      for (let branch of branches) branch.remove()
+    } else if (isControlRule(node, 'else')) {
+      throw node.error('@else without @if')
+    } else if (isControlRule(node, 'each')) {
+      let each = node.params.match(EACH_PATTERN)?.groups
+      if (!each) throw node.error(`Invalid @each loop: ${node.params}`)
+      nodes = []
+      for (let item of helpers.list.comma(each.list)) {
+        let body = new helpers.Root()
+        body.append(node.clone().nodes)
+        body = helpers
+          .postcss([vars({ only: { [each.variable]: unwrap(item) } })])
+          .process(body).root
+        nodes.push(...body.nodes)
       }
-    } else if (rule.type === 'rule') {
-      unwrapSingleArguments(rule.nodes, singleArgumentsMap)
+      node.before(nodes)
+      node.remove()
+    } else if (node.nodes) {
+      processControlFlow(helpers, node)
     }
+    node = nodes?.[0] ?? next
   }
 }
 
-function resolveSingleArgumentValue(value, parentNode) {
-  let content = value.slice('single-arg'.length).trim()
-
-  if (!content.startsWith('(') || !content.endsWith(')')) {
-    throw parentNode.error(
-      'Content of single-arg must be wrapped in brackets: ' + value
+function parseArgument(rule, param) {
+  let group = param.match(GROUP_PATTERN)
+  if (group) {
+    let open = group[0].length - 1
+    if (findClosingBracket(param, open) === param.length - 1) {
+      return param.slice(open + 1, -1)
+    }
+  }
+  if (param.startsWith('single-arg')) {
+    throw rule.error(
+      'Content of single-arg must be wrapped in brackets: ' + param
     )
   }
+  return unwrap(param)
+}
 
-  return content.slice(1, -1)
+function groupIncludeArguments(helpers, root, values, definition) {
+  let grouped = {}
+  definition.args.forEach(([arg], i) => {
+    let isRest = definition.rest && i === definition.args.length - 1
+    if (!isRest && helpers.list.comma(values[arg]).length > 1) {
+      grouped[arg] = `raw(${values[arg]})`
+    }
+  })
+  if (Object.keys(grouped).length === 0) return
+  root.walkAtRules(node => {
+    if (isInclude(node)) {
+      node.params = node.params.replace(VARIABLE_PATTERN, (match, a, b) => {
+        return grouped[a ?? b] ?? match
+      })
+    }
+  })
 }
 
-function insertMixin(helpers, mixins, rule, opts) {
-  let { name, paramString } = parseMixin(rule)
+function parseArguments(helpers, rule, label, paramString) {
+  let params = []
+  let keywords = {}
+  let singleArgs = {}
+  if (paramString.trim() === '') return { keywords, params, singleArgs }
 
-  let params
-  if (paramString.trim() === '') {
-    params = []
+  for (let param of helpers.list.comma(paramString)) {
+    let keyword = param.match(KEYWORD_ARGUMENT_PATTERN)?.groups
+    if (keyword) {
+      if (keyword.key in keywords) {
+        throw rule.error(`Duplicate argument $${keyword.key} in ${label}`)
+      }
+      keywords[keyword.key] = parseArgument(rule, keyword.value.trim())
+    } else if (Object.keys(keywords).length > 0) {
+      throw rule.error(
+        `Positional argument ${param} after keyword arguments in ${label}`
+      )
+    } else {
+      if (param.startsWith('single-arg')) singleArgs[params.length] = param
+      params.push(parseArgument(rule, param))
+    }
+  }
+
+  return { keywords, params, singleArgs }
+}
+
+function bindArguments(helpers, rule, label, meta, params, keywords) {
+  let values = {}
+  for (let i = 0; i < meta.args.length; i++) {
+    if (meta.rest && i === meta.args.length - 1) {
+      values[meta.args[i][0]] = params.slice(i).join(', ') || meta.args[i][1]
+    } else {
+      values[meta.args[i][0]] = params[i] || meta.args[i][1]
+    }
+  }
+  for (let key in keywords) {
+    let index = meta.args.findIndex(([arg]) => arg === key)
+    if (index === -1) {
+      throw rule.error(`Unknown argument $${key} in ${label}`)
+    } else if (index < params.length) {
+      throw rule.error(`Duplicate argument $${key} in ${label}`)
+    }
+    values[key] = keywords[key]
+  }
+  checkTypes(helpers, rule, label, meta, values)
+  return values
+}
+
+function skipString(value, index) {
+  let quote = value[index]
+  if (quote !== '"' && quote !== "'") return index
+  for (let i = index + 1; i < value.length; i++) {
+    if (value[i] === '\\') {
+      i += 1
+    } else if (value[i] === quote) {
+      return i
+    }
+  }
+  return value.length
+}
+
+function findClosingBracket(value, open) {
+  let depth = 0
+  for (let i = open; i < value.length; i++) {
+    i = skipString(value, i)
+    if (value[i] === '(') {
+      depth += 1
+    } else if (value[i] === ')') {
+      depth -= 1
+      if (depth === 0) return i
+    }
+  }
+  return -1
+}
+
+function findStringEnds(value) {
+  let ends = []
+  for (let i = 0; i < value.length; i++) {
+    let end = skipString(value, i)
+    if (end !== i) ends.push([i, end])
+    i = end
+  }
+  return ends
+}
+
+function callFunction(helpers, decl, name, meta, paramString) {
+  let label = `function ${name}`
+  let { keywords, params } = parseArguments(helpers, decl, label, paramString)
+
+  let result
+  if (typeof meta.mixin === 'function') {
+    if (Object.keys(keywords).length > 0) params.push(keywords)
+    try {
+      result = meta.mixin(...params)
+    } catch (e) {
+      throw decl.error(`Error in ${label}: ${e.message}`, { word: name })
+    }
+    if (isPromise(result)) {
+      throw decl.error(`Function ${name} returned a Promise`, { word: name })
+    }
   } else {
-    params = helpers.list.comma(paramString).map(unwrap)
+    let values = bindArguments(helpers, decl, label, meta, params, keywords)
+    let proxy = new helpers.Root()
+    proxy.append(meta.mixin.clone().nodes)
+    if (meta.args.length) {
+      proxy = helpers.postcss([vars({ only: values })]).process(proxy).root
+    }
+    processControlFlow(helpers, proxy)
+    let output = proxy.nodes.find(node => {
+      return node.type === 'atrule' && node.name === 'return'
+    })
+    if (!output) {
+      throw decl.error(`Function ${name} did not return a value`, {
+        word: name
+      })
+    }
+    result = output.params
   }
+  return String(result)
+}
 
-  let meta = mixins[name]
-  let mixin = meta && meta.mixin
-  let singleArgumentsMap = new Map(
-    params
-      .filter(param => param.startsWith('single-arg'))
-      .map(param => [param, resolveSingleArgumentValue(param, rule)])
+function evaluateFunctions(helpers, mixins, decl, value, opts, depth = 0) {
+  let maxDepth = opts.maxDepth ?? MAX_DEPTH
+  let output = ''
+  let last = 0
+  let strings = findStringEnds(value)
+  for (let match of value.matchAll(FUNCTION_CALL_PATTERN)) {
+    let name = match.groups.name
+    let meta = findMixin(mixins, decl, name + '()')
+    let inString = strings.some(([start, end]) => {
+      return match.index > start && match.index < end
+    })
+    if (match.index < last || !meta || inString) continue
+
+    if (depth >= maxDepth) {
+      throw decl.error(`Functions nesting is deeper than ${maxDepth} levels`)
+    }
+    let open = match.index + match[0].length - 1
+    let close = findClosingBracket(value, open)
+    if (close === -1) {
+      throw decl.error(`Unclosed bracket in function ${name}`, { word: name })
+    }
+    let paramString = evaluateFunctions(
+      helpers,
+      mixins,
+      decl,
+      value.slice(open + 1, close),
+      opts,
+      depth
+    )
+    let result = callFunction(helpers, decl, name, meta, paramString)
+    output += value.slice(last, match.index)
+    output += evaluateFunctions(helpers, mixins, decl, result, opts, depth + 1)
+    last = close + 1
+  }
+  return output + value.slice(last)
+}
+
+function countRequired(meta) {
+  return meta.args.filter(([, defaults], i) => {
+    return defaults === '' && !(meta.rest && i === meta.args.length - 1)
+  }).length
+}
+
+function acceptsArguments(meta, params, keywords) {
+  let names = Object.keys(keywords)
+  if (params.length > meta.args.length && !meta.rest) return false
+  if (names.some(key => !meta.args.some(([arg]) => arg === key))) return false
+  return params.length + names.length >= countRequired(meta)
+}
+
+function formatArity(definition) {
+  let min = countRequired(definition)
+  if (definition.rest) return `at least ${min}`
+  if (min === definition.args.length) return String(min)
+  return `${min}-${definition.args.length}`
+}
+
+function checkCall(helpers, rule, opts, signature, params, keywords) {
+  if (!opts.checkCalls || signature.lenient) return
+  let problems = []
+  let { definition, label } = signature
+  if (definition && !acceptsArguments(definition, params, keywords)) {
+    let count = params.length + Object.keys(keywords).length
+    problems.push(
+      `Wrong number of arguments in ${label}: ` +
+        `expected ${formatArity(definition)}, got ${count}`
+    )
+  }
+  if (rule.nodes?.length > 0 && signature.content === false) {
+    problems.push(`Content is passed to ${label}, which does not use it`)
+  }
+  for (let text of problems) {
+    if (opts.checkCalls === 'warn') {
+      helpers.result.warn(text, { node: rule })
+    } else {
+      throw rule.error(text)
+    }
+  }
+}
+
+function checkGuard(helpers, mixins, rule, meta, values, opts) {
+  let root = new helpers.Root()
+  root.append(new helpers.AtRule({ name: 'when', params: meta.guard }))
+  root = helpers.postcss([vars({ only: values })]).process(root).root
+  let guard = evaluateFunctions(helpers, mixins, rule, root.first.params, opts)
+  return evaluateCondition(rule, guard)
+}
+
+function selectOverload(helpers, mixins, rule, label, meta, args, opts) {
+  let overloads = meta.overloads ?? [meta]
+  for (let overload of overloads) {
+    if (meta.overloads && !acceptsArguments(overload, ...args)) continue
+    if (!overload.guard) return overload
+    let values = bindArguments(helpers, rule, label, overload, ...args)
+    if (checkGuard(helpers, mixins, rule, overload, values, opts)) {
+      return overload
+    }
+  }
+  throw rule.error(
+    `No definition of ${label} matches @${rule.name} ${rule.params}`
   )
+}
+
+function getLocation(node) {
+  return {
+    column: node.source?.start.column,
+    file: node.source?.input.file,
+    line: node.source?.start.line
+  }
+}
+
+function recordUsage(helpers, name, meta, rule) {
+  helpers.result.messages.push({
+    ...getLocation(rule),
+    definition: meta.file ?? meta.mixin.source?.input.file,
+    mixin: name,
+    plugin: 'postcss-mixins',
+    type: 'mixin-usage'
+  })
+}
+
+function getUnused(mixins, used) {
+  return Object.keys(mixins).filter(name => {
+    return !name.endsWith('()') && !used[name]
+  })
+}
+
+function reportUsage(helpers, mixins) {
+  let used = {}
+  for (let message of helpers.result.messages) {
+    if (message.type === 'mixin-usage') {
+      used[message.mixin] = (used[message.mixin] ?? 0) + 1
+    }
+  }
+  helpers.result.messages.push({
+    plugin: 'postcss-mixins',
+    type: 'mixin-usage-summary',
+    unused: getUnused(mixins, used),
+    used
+  })
+}
+
+function getDefinitionKey(meta) {
+  let node = meta.args ? meta.mixin : undefined
+  let file = meta.file ?? node?.source?.input.file
+  // Mixins from options or from CSS without path are compared by object
+  if (!file) return meta.mixin
+  return `${file}:${node?.source?.start.line}:${node?.source?.start.column}`
+}
+
+function collectDefined(usage, mixins) {
+  for (let name in mixins) {
+    if (name.endsWith('()')) continue
+    for (let meta of mixins[name].overloads ?? [mixins[name]]) {
+      let key = getDefinitionKey(meta)
+      let node = meta.args ? meta.mixin : undefined
+      usage.defined.set(key, {
+        file: meta.file ?? node?.source?.input.file,
+        line: node?.source?.start.line,
+        mixin: name,
+        node
+      })
+    }
+  }
+}
+
+function collectUsage(helpers, usage, mixins, root, opts) {
+  collectDefined(usage, mixins)
+  root.walk(node => {
+    if (node.mixinScope) collectDefined(usage, node.mixinScope)
+  })
+  if (opts.reportUnused) {
+    for (let [key, { file, mixin, node }] of usage.defined) {
+      if (!usage.used.has(key)) {
+        let from = file && !node ? ` from ${file}` : ''
+        helpers.result.warn(`Mixin ${mixin}${from} is never used`, { node })
+      }
+    }
+  }
+}
+
+function mergeUsage(usage, run) {
+  for (let [key, definition] of run.defined) {
+    if (!usage.defined.has(key)) usage.defined.set(key, definition)
+  }
+  for (let [key, { count, mixin }] of run.used) {
+    let prev = usage.used.get(key)?.count ?? 0
+    usage.used.set(key, { count: prev + count, mixin })
+  }
+}
+
+function getRunUsage(usage) {
+  let used = {}
+  for (let { count, mixin } of usage.used.values()) {
+    used[mixin] = (used[mixin] ?? 0) + count
+  }
+  let unused = []
+  for (let [key, { file, line, mixin }] of usage.defined) {
+    if (!usage.used.has(key)) unused.push({ file, line, mixin })
+  }
+  return { unused, used }
+}
+
+function insertMixin(helpers, mixins, rule, opts, usage) {
+  return withBacktrace(rule.mixinStack, () => {
+    return applyMixin(helpers, mixins, rule, opts, usage)
+  })
+}
+
+function applyMixin(helpers, mixins, rule, opts, usage) {
+  let { name, paramString, using } = parseMixin(rule)
+  let label = `mixin ${name}`
+  let { keywords, params, singleArgs } = parseArguments(
+    helpers,
+    rule,
+    label,
+    paramString
+  )
+
+  let meta = findMixin(mixins, rule, name)
+  if (meta?.overloads || meta?.guard) {
+    meta = selectOverload(
+      helpers,
+      mixins,
+      rule,
+      label,
+      meta,
+      [params, keywords],
+      opts
+    )
+  }
+  let mixin = meta && meta.mixin
+
+  if (meta) {
+    let key = getDefinitionKey(meta)
+    let count = usage.used.get(key)?.count ?? 0
+    usage.used.set(key, { count: count + 1, mixin: name })
+    if (opts.reportUsage) recordUsage(helpers, name, meta, rule)
+  }
+
+  let stack
+  if (meta) {
+    checkNesting(rule, name, opts)
+    stack = [
+      {
+        file: meta.file ?? meta.mixin.source?.input.file,
+        include: getLocation(rule),
+        line: meta.mixin.source?.start.line,
+        mixin: name
+      }
+    ].concat(rule.mixinStack ?? [])
+  }
+
+  let call = {
+    maxNodes: opts.maxNodes ?? MAX_NODES,
+    mixin,
+    name,
+    params,
+    stack,
+    usage,
+    using
+  }
 
   if (!meta) {
     if (!opts.silent) {
       throw rule.error('Undefined mixin ' + name)
     }
   } else if (mixin.name === 'mixin') {
-    let i
-    let values = {}
-    for (i = 0; i < meta.args.length; i++) {
-      values[meta.args[i][0]] = params[i] || meta.args[i][1]
-    }
+    let values = bindArguments(helpers, rule, label, meta, params, keywords)
+    checkCall(
+      helpers,
+      rule,
+      opts,
+      { ...meta, definition: meta, label },
+      params,
+      keywords
+    )
 
     let proxy = new helpers.Root()
-    for (i = 0; i < mixin.nodes.length; i++) {
+    for (let i = 0; i < mixin.nodes.length; i++) {
       let node = mixin.nodes[i].clone()
       delete node.raws.before
       proxy.append(node)
     }
 
-    if (meta.args.length) {
-      proxy = helpers.postcss([vars({ only: values })]).process(proxy).root
-    }
+    proxy.walkAtRules('mixin-content', parseSlot)
+    withBacktrace(stack, () => {
+      if (meta.args.length) {
+        groupIncludeArguments(helpers, proxy, values, meta)
+        proxy = helpers.postcss([vars({ only: values })]).process(proxy).root
+      }
 
-    if (meta.content) processMixinContent(proxy, rule)
+      processControlFlow(helpers, proxy)
+    })
 
-    unwrapSingleArguments(proxy.nodes, singleArgumentsMap)
+    if (meta.content) processMixinContent(helpers, proxy, rule, using)
 
-    rule.parent.insertBefore(rule, proxy)
+    checkSize(rule, proxy.nodes, call)
+    setMixinStack(proxy, stack)
+    // Rule with other nodes would be split by merging
+    let canExtend =
+      rule.parent.type === 'rule' && rule.parent.nodes.length === 1
+    if ((meta.extendable || opts.extend) && canExtend) {
+      extendMixin(rule, proxy, call)
+    } else {
+      rule.parent.insertBefore(rule, proxy)
+    }
   } else if (typeof mixin === 'object') {
-    insertObject(rule, mixin, singleArgumentsMap)
+    let definition
+    if ('@args' in mixin) {
+      definition = getDefinition(helpers, rule, name, mixin['@args'])
+      call.definition = definition
+      call.values = bindArguments(
+        helpers,
+        rule,
+        label,
+        definition,
+        params,
+        keywords
+      )
+    }
+    checkCall(
+      helpers,
+      rule,
+      opts,
+      {
+        content: hasContent(mixin),
+        definition,
+        label,
+        lenient: mixin['@lenient']
+      },
+      params,
+      keywords
+    )
+    insertObject(helpers, rule, mixin, call)
   } else if (typeof mixin === 'function') {
-    let args = [rule].concat(params)
-    rule.walkAtRules(atRule => {
-      if (atRule.name === 'include' || atRule.name === 'add-mixin') {
-        insertMixin(helpers, mixins, atRule, opts)
-      }
+    let definition
+    if (mixin.args) definition = getDefinition(helpers, rule, name, mixin.args)
+    checkCall(
+      helpers,
+      rule,
+      opts,
+      { definition, label, lenient: mixin.lenient },
+      params,
+      keywords
+    )
+    // JS mixins get single-arg() as is, like in previous versions
+    call.params = params.map((value, i) => singleArgs[i] ?? value)
+    call.singleArgs = Object.keys(singleArgs).map(i => [
+      singleArgs[i],
+      params[i]
+    ])
+    if (Object.keys(keywords).length > 0) call.params.push(keywords)
+    return withBacktrace(stack, () => {
+      return insertFunctionMixin(helpers, mixins, rule, opts, call)
     })
-    let nodes = mixin(...args)
-    if (typeof nodes === 'object') {
-      insertObject(rule, nodes, singleArgumentsMap)
-    }
   } else {
     throw new Error('Wrong ' + name + ' mixin type ' + typeof mixin)
   }
@@ -240,7 +1447,7 @@ function insertMixin(helpers, mixins, rule, opts) {
   if (rule.parent) rule.remove()
 }
 
-module.exports = (opts = {}) => {
+function getSources(opts) {
   let loadFrom = []
   if (opts.mixinsDir) {
     if (!Array.isArray(opts.mixinsDir)) {
@@ -249,48 +1456,189 @@ module.exports = (opts = {}) => {
     loadFrom = opts.mixinsDir.map(dir => join(dir, MIXINS_GLOB))
   }
   if (opts.mixinsFiles) loadFrom = loadFrom.concat(opts.mixinsFiles)
-  loadFrom = loadFrom.map(path => path.replace(/\\/g, '/'))
+
+  let sources = {}
+  let watchDirs = opts.mixinsDir ? opts.mixinsDir.slice() : []
+  if (loadFrom.length > 0) sources[''] = loadFrom
+  for (let namespace in opts.namespaces) {
+    let dirs = [].concat(opts.namespaces[namespace])
+    sources[namespace] = dirs.map(dir => join(dir, MIXINS_GLOB))
+    watchDirs.push(...dirs)
+  }
+  for (let namespace in sources) {
+    sources[namespace] = sources[namespace].map(path => {
+      return path.replace(/\\/g, '/')
+    })
+  }
+
+  let packages = {}
+  if (Array.isArray(opts.packages)) {
+    packages[''] = opts.packages
+  } else {
+    for (let namespace in opts.packages) {
+      packages[namespace] = [].concat(opts.packages[namespace])
+    }
+  }
+
+  return { packages, sources, watchDirs }
+}
+
+function describeArguments(definition) {
+  return definition.args.map(([arg, defaults, type], i) => {
+    let description = { default: defaults, name: arg }
+    if (type) description.type = type
+    if (definition.rest && i === definition.args.length - 1) {
+      description.rest = true
+    }
+    return description
+  })
+}
+
+function describeMixin(helpers, name, meta) {
+  let mixin = meta.mixin
+  let info = {
+    content: false,
+    definition: String(mixin),
+    file: meta.file,
+    kind: 'function',
+    name
+  }
+  if (meta.args) {
+    info.kind = 'css'
+    info.args = describeArguments(meta)
+    info.content = meta.content
+    info.file = meta.file ?? mixin.source?.input.file
+    info.line = mixin.source?.start.line
+    if (meta.guard) info.guard = meta.guard
+    if (meta.extendable) info.extendable = true
+  } else if (typeof mixin === 'function' && mixin.args) {
+    let node = new helpers.Root()
+    info.args = describeArguments(
+      getDefinition(helpers, node, name, mixin.args)
+    )
+  } else if (typeof mixin === 'object') {
+    info.kind = 'object'
+    if ('@args' in mixin) {
+      let node = new helpers.Root()
+      info.args = describeArguments(
+        getDefinition(helpers, node, name, mixin['@args'])
+      )
+    }
+    info.definition = JSON.stringify(mixin, null, 2)
+    info.content = hasContent(mixin)
+  }
+  return info
+}
+
+module.exports = (opts = {}) => {
+  let { packages, sources, watchDirs } = getSources(opts)
+  let usage = { defined: new Map(), used: new Map() }
 
   return {
+    clearUsage() {
+      usage = { defined: new Map(), used: new Map() }
+    },
+
+    getUsage() {
+      return getRunUsage(usage)
+    },
+
     postcssPlugin: 'postcss-mixins',
 
     prepare() {
       let mixins = {}
+      let run = { defined: new Map(), used: new Map() }
 
       if (typeof opts.mixins === 'object') {
         for (let i in opts.mixins) {
           mixins[i] = { mixin: opts.mixins[i] }
         }
       }
+      if (typeof opts.functions === 'object') {
+        for (let i in opts.functions) {
+          mixins[i + '()'] = { mixin: opts.functions[i] }
+        }
+      }
 
       return {
         AtRule: {
           'add-mixin': (node, helpers) => {
-            insertMixin(helpers, mixins, node, opts)
+            return insertMixin(helpers, mixins, node, opts, run)
+          },
+          'function': (node, helpers) => {
+            if (isDefinition(node)) {
+              addMixin(helpers, getScope(mixins, node), node)
+            }
           },
           'include': (node, helpers) => {
-            insertMixin(helpers, mixins, node, opts)
+            return insertMixin(helpers, mixins, node, opts, run)
           },
           'mixin': (node, helpers) => {
-            addMixin(helpers, mixins, node)
+            addMixin(helpers, getScope(mixins, node), node)
             node.remove()
           }
         },
-        Once(root, helpers) {
-          if (loadFrom.length > 0) {
-            try {
-              let global = loadGlobalMixin(helpers, loadFrom)
-              addGlobalMixins(helpers, mixins, global, opts.parent)
-            } catch {}
+        Declaration(node, helpers) {
+          if (node.value.includes('(')) {
+            withBacktrace(node.mixinStack, () => {
+              node.value = evaluateFunctions(
+                helpers,
+                mixins,
+                node,
+                node.value,
+                opts
+              )
+            })
           }
         },
-        OnceExit(_, helpers) {
-          if (opts.mixinsDir && opts.mixinsDir.length > 0) {
-            watchNewMixins(helpers, opts.mixinsDir)
+        Once(root, helpers) {
+          let imports = root.nodes.filter(isMixinsImport)
+          let global = loadNamespacedMixins(helpers, sources, packages, opts)
+          let loading = chain(global, loaded => {
+            addGlobalMixins(helpers, mixins, loaded, opts.parent)
+            return importMixins(helpers, mixins, imports, opts)
+          })
+          return chain(loading, () => {
+            hoistMixins(helpers, mixins, root)
+          })
+        },
+        OnceExit(root, helpers) {
+          if (watchDirs.length > 0) {
+            watchNewMixins(helpers, watchDirs)
           }
+          collectUsage(helpers, run, mixins, root, opts)
+          mergeUsage(usage, run)
+          if (opts.reportUsage) reportUsage(helpers, mixins)
         }
       }
     }
   }
 }
 module.exports.postcss = true
+
+module.exports.clearCache = () => {
+  cache.clear()
+}
+
+module.exports.loadMixins = async (opts = {}) => {
+  let postcss = require('postcss')
+  let result = new postcss.Result(postcss(), undefined, {})
+  let helpers = { ...postcss, postcss, result }
+  let { packages, sources } = getSources(opts)
+
+  let mixins = {}
+  for (let name in opts.mixins) {
+    mixins[name] = { mixin: opts.mixins[name] }
+  }
+  let global = await loadNamespacedMixins(helpers, sources, packages, opts)
+  Object.assign(mixins, global)
+
+  let list = []
+  for (let name in mixins) {
+    if (name.endsWith('()')) continue
+    for (let meta of mixins[name].overloads ?? [mixins[name]]) {
+      list.push(describeMixin(helpers, name, meta))
+    }
+  }
+  return { mixins: list, warnings: result.warnings() }
+}
@@ -0,0 +1,3 @@
+global.counterLoads = (global.counterLoads || 0) + 1
+
+module.exports = () => ({ loads: String(global.counterLoads) })
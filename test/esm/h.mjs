@@ -0,0 +1,3 @@
+export default async function (mixin, value) {
+  return { h: await Promise.resolve(value) }
+}
@@ -0,0 +1,3 @@
+export default {
+  i: '6'
+}
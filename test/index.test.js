@@ -1,4 +1,6 @@
 let { deepStrictEqual, equal } = require('node:assert')
+let { spawnSync } = require('node:child_process')
+let { utimesSync } = require('node:fs')
 let { join } = require('node:path')
 let { test } = require('node:test')
 let postcss = require('postcss')
@@ -12,6 +14,14 @@ async function run(input, output, opts) {
   return result
 }
 
+function cli(...args) {
+  let result = spawnSync('node', [join(__dirname, '..', 'bin.js'), ...args], {
+    cwd: __dirname,
+    encoding: 'utf8'
+  })
+  return { code: result.status, err: result.stderr, out: result.stdout }
+}
+
 async function catchError(fn) {
   let error
   try {
@@ -202,226 +212,1887 @@ test('supports object mixins with content', async () => {
   })
 })
 
-test('uses variables', async () => {
+test('passes values to mixin content', async () => {
   await run(
-    '@mixin m $a, $b: b, $c: c { v: $a $b $c; } @include m 1, 2;',
-    'v: 1 2 c;'
+    '@mixin bp { @each $b in sm, md { @media ($b) { @mixin-content $b, 1px } } } ' +
+      'a { @include bp using ($bp, $w) { width: $w; .x-$(bp) { c: $bp } } }',
+    'a { @media (sm) { width: 1px; .x-sm { c: sm }} ' +
+      '@media (md) { width: 1px; .x-md { c: md }} }'
+  )
+  await run(
+    '@mixin m $x { @mixin-content $x } ' +
+      'a { @include m(1) using($v, $u) { w: $v $u; h: $other } }',
+    'a { w: 1 ; h: $other }'
   )
 })
 
-test('loads mixins from dir', async () => {
-  let result = await run(
-    'a { @include a 1; @include b; @include c; @include d; @include e; }',
-    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
-    {
-      mixinsDir: join(__dirname, 'mixins')
+test('passes values to object mixins content', async () => {
+  await run('@include obj using ($v) { b: $v }', 'a { b: 1\n}', {
+    mixins: {
+      obj: {
+        a: {
+          '@mixin-content 1': true
+        }
+      }
     }
+  })
+})
+
+test('throws error on invalid using parameters', async () => {
+  let error = await catchError(() =>
+    run('@mixin m { @mixin-content } a { @include m using ($a, b) { } }')
   )
-  deepStrictEqual(
-    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
-    [
-      {
-        file: join(__dirname, 'mixins/a.js'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/b.json'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/c.CSS'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/d.sss'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/e.pcss'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        dir: join(__dirname, 'mixins'),
-        glob: '*.{js,cjs,mjs,json,css,sss,pcss}',
-        parent: '',
-        type: 'dir-dependency'
-      }
-    ]
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:33: Invalid using parameters: $a, b'
   )
 })
 
-test('loads mixins from dir with parent options', async () => {
-  let parent = join(__dirname, 'a.js')
-  let result = await run(
-    'a { @include a 1; @include b; @include c; @include d; @include e; }',
-    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
-    {
-      mixinsDir: join(__dirname, 'mixins'),
-      parent: join(__dirname, 'a.js')
-    }
+test('supports named content slots', async () => {
+  await run(
+    '@mixin card { .h { @mixin-content slot(header) { h: 0 } } ' +
+      '.b { @mixin-content } .f { @mixin-content slot(footer) { f: 0 } } } ' +
+      'a { @include card { @slot header { h: 1 } b: 1; @slot footer {} } } ' +
+      'b { @include card }',
+    'a { .h { h: 1 } .b { b: 1} .f { } } ' +
+      'b { .h { h: 0 } .b {} .f { f: 0 }}'
   )
-  deepStrictEqual(
-    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
-    [
-      {
-        file: join(__dirname, 'mixins/a.js'),
-        parent,
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/b.json'),
-        parent,
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/c.CSS'),
-        parent,
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/d.sss'),
-        parent,
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'mixins/e.pcss'),
-        parent,
-        type: 'dependency'
-      },
-      {
-        dir: join(__dirname, 'mixins'),
-        glob: '*.{js,cjs,mjs,json,css,sss,pcss}',
-        parent: '',
-        type: 'dir-dependency'
-      }
-    ]
+})
+
+test('passes values to named slots', async () => {
+  await run(
+    '@mixin m $x { @mixin-content slot(side) $x; @mixin-content $x } ' +
+      'a { @include m 1 using ($v) { w: $v; @slot side { s: $v } } }',
+    'a { s: 1; w: 1 }'
+  )
+  await run(
+    '@mixin m { @mixin-content dark } ' +
+      'a { @include m using ($t) { t: $t } }',
+    'a { t: dark }'
   )
 })
 
-test('loads mixins from dirs', async () => {
-  await run('a { @include a 1; @include c; }', 'a { a: 1; c: 3; }', {
-    mixinsDir: [join(__dirname, 'mixins'), join(__dirname, 'other')]
+test('passes slots to function mixins', async () => {
+  let slots
+  await run('a { @include m { @slot header { h: 1 } b: 1 } }', 'a { h: 1 }', {
+    mixins: {
+      m(rule) {
+        slots = rule.slots
+        rule.after(slots.header[0].clone())
+      }
+    }
   })
+  deepStrictEqual(Object.keys(slots), ['header', 'default'])
+  equal(slots.default[0].toString(), 'b: 1')
 })
 
-test('loads mixins from relative dir', async () => {
+test('supports arguments in object mixins', async () => {
   await run(
-    'a { @include a 1; @include b; @include c; @include d; @include e; }',
-    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
+    'a { @include m red } b { @include m blue, $size: 20px } ' +
+      'c { @include n(1) } d { @include plain 1 }',
+    'a { .icon-red { small: yes; color: red; width: 16px}} ' +
+      'b { .icon-blue { color: blue; width: 20px}} c { a: 1} d { p: $x}',
     {
-      mixinsDir: 'test/mixins/'
+      mixins: {
+        m: {
+          '.icon-$(color)': {
+            '@if $size == 16px': { small: 'yes' },
+            'color': '$color',
+            'width': '$size'
+          },
+          '@args': '$color, $size <length>: 16px'
+        },
+        n: { '@args': ['$a'], 'a': '$a' },
+        plain: { p: '$x' }
+      }
     }
   )
 })
 
-test('loads mixins from relative dirs', async () => {
-  await run('a { @include a 1; @include c; }', 'a { a: 1; c: 3; }', {
-    mixinsDir: ['test/mixins', 'test/other']
-  })
+test('supports arguments in JSON mixins', async () => {
+  await run(
+    'a { @include icon search }',
+    'a { background: url(/icons/search.svg); width: 16px}',
+    { mixinsFiles: join(__dirname, 'objects', 'icon.json') }
+  )
+  let error = await catchError(() =>
+    run('a { @include icon a, 1, 2 }', '', {
+      checkCalls: true,
+      mixinsFiles: join(__dirname, 'objects', 'icon.json')
+    })
+  )
+  equal(
+    error.reason,
+    'Wrong number of arguments in mixin icon: expected 1-2, got 3'
+  )
 })
 
-test('loads mixins from file glob', async () => {
-  await run('a { @include a 1; @include b; }', 'a { a: 1; b: 2; }', {
-    mixinsFiles: join(__dirname, 'mixins', '*.{js,json}')
-  })
+test('uses variables', async () => {
+  await run(
+    '@mixin m $a, $b: b, $c: c { v: $a $b $c; } @include m 1, 2;',
+    'v: 1 2 c;'
+  )
 })
 
-test('loads mixins from file globs', async () => {
-  await run('a { @include a 1; @include c; }', 'a { a: 1; c: 3; }', {
-    mixinsFiles: [
-      join(__dirname, 'mixins', '*.!(json|css)'),
-      join(__dirname, 'other', '*')
-    ]
-  })
+test('supports rest arguments', async () => {
+  await run(
+    '@mixin shadow $color, $shadows... { box-shadow: $shadows; c: $color } ' +
+      'a { @include shadow red, 0 0 1px red, 0 1px 2px blue; }',
+    'a { box-shadow: 0 0 1px red, 0 1px 2px blue; c: red; }'
+  )
 })
 
-test('loads mixins with dependencies', async () => {
-  let result = await run('a { @include f; }', 'a { g: 5; }', {
-    mixinsFiles: join(__dirname, 'deps', 'f.js')
-  })
-  deepStrictEqual(
-    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
-    [
-      {
-        file: join(__dirname, 'deps/f.js'),
-        parent: '',
-        type: 'dependency'
-      },
-      {
-        file: join(__dirname, 'deps/g.js'),
-        parent: join(__dirname, 'deps/f.js'),
-        type: 'dependency'
-      }
-    ]
+test('uses default for empty rest arguments', async () => {
+  await run(
+    '@mixin shadow $shadows...: none { box-shadow: $shadows } ' +
+      'a { @include shadow; }',
+    'a { box-shadow: none; }'
   )
 })
 
-test('coverts mixins values', async () => {
-  let processor = postcss(
-    mixins({
-      mixins: {
-        empty() {
-          return { width: 0 }
-        }
-      }
-    })
+test('supports single-arg in rest arguments', async () => {
+  await run(
+    '@mixin m $a... { v: $a } @include m 1, single-arg(2, 3), 4;',
+    'v: 1, 2, 3, 4;'
   )
-  let result = await processor.process('a{ @include empty; }', {
-    from: 'a.css'
-  })
-  equal(typeof result.root.first.first.value, 'string')
 })
 
-test('supports nested mixins', async () => {
+test('throws error on rest argument before other arguments', async () => {
+  let error = await catchError(() => run('@mixin m $a..., $b { v: $a }'))
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:1: Rest argument must be the last in mixin m'
+  )
+})
+
+test('supports typed arguments', async () => {
   await run(
-    '@mixin a $a { a: $a; } ' +
-      '@mixin b $b { @include a $b; } ' +
-      '@include b 1;',
-    'a: 1;'
+    '@mixin m $size <length>, $color <color>: black, ' +
+      '$mode one-of(light, dark): light, $ratio <number>: 1, $any <any>: a ' +
+      '{ v: $size $color $mode $ratio $any } ' +
+      'a { @include m 10px, #fff, dark, 1.5; } ' +
+      'b { @include m calc(1px + 1em), RebeccaPurple, $any: x; } ' +
+      'c { @include m 0, rgb(0 0 0), $ratio: -2e3; }',
+    'a { v: 10px #fff dark 1.5 a; } ' +
+      'b { v: calc(1px + 1em) RebeccaPurple light 1 x; } ' +
+      'c { v: 0 rgb(0 0 0) light -2e3 a; }'
   )
 })
 
-test('supports nested mixins in mixin-content', async () => {
+test('checks every value of typed rest argument', async () => {
   await run(
-    '@mixin a { a: 1 } ' +
-      '@mixin b { b { @mixin-content } } ' +
-      '@include b { @include a }',
-    'b { a: 1}'
+    '@mixin m $times... <time> { v: $times } @include m 1s, 200ms;',
+    'v: 1s, 200ms;'
+  )
+  let error = await catchError(() =>
+    run('@mixin m $times <time>... { v: $times } @include m 1s, 2px;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:41: ' +
+      'Argument $times in mixin m should be <time>, got 2px'
   )
 })
 
-test('supports nested mixins on object mixins', async () => {
-  await run('@mixin a { a: a; } @include b;', 'a: a;', {
-    mixins: {
-      b: {
-        '@include a': {}
-      }
-    }
-  })
+test('throws error on wrong argument type', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $size <length> { v: $size } @include m red;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:38: ' +
+      'Argument $size in mixin m should be <length>, got red'
+  )
 })
 
-test('supports default arguments in nested mixins', async () => {
+test('throws error on value out of one-of type', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $mode one-of(light, dark) { v: $mode } @include m blue;')
+  )
+  equal(
+    error.reason,
+    'Argument $mode in mixin m should be one-of(light, dark), got blue'
+  )
+})
+
+test('throws error on missing required argument', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $a, $size <length> { v: $size } @include m 1;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:42: Missing required argument $size in mixin m'
+  )
+})
+
+test('throws error on unknown argument type', async () => {
+  let error = await catchError(() => run('@mixin m $size length { v: $size }'))
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:1: Unknown type length of $size in mixin m'
+  )
+  error = await catchError(() =>
+    run('@mixin m $a <foo> { a: $a } a { @include m 1 }')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:1: Unknown type <foo> of $a in mixin m'
+  )
+})
+
+test('chooses mixin overload by arguments count', async () => {
   await run(
-    '@mixin a $a: 1 { a: $a } ' +
-      '@mixin b $b { @include a $b } ' +
-      '@include b;',
-    'a: 1;'
+    '@mixin size $s { w: $s; h: $s } @mixin size $w, $h { w: $w; h: $h } ' +
+      '@mixin size $w, $h, $d: 0 { d: $d } ' +
+      'a { @include size 1; @include size 1, 2; @include size 1, $h: 2; ' +
+      '@include size 1, 2, 5; @include size 1, $d: 7 }',
+    'a { w: 1; h: 1; w: 1; h: 2; w: 1; h: 2; d: 5; d: 7}'
+  )
+  let error = await catchError(() =>
+    run('@mixin size $s { w: $s } @mixin size $w, $h {} @include size 1, 2, 3;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:48: ' +
+      'No definition of mixin size matches @include size 1, 2, 3'
   )
 })
 
-test('works in sync mode on no option', () => {
-  let input = '@mixin a { a: 1 }; @include a'
-  let out = 'a: 1'
-  equal(postcss(mixins()).process(input, { from: 'a.css' }).css, out)
+test('replaces mixin with the same arguments count', async () => {
+  let result = await postcss([mixins()]).process(
+    '@mixin m $a { v: 1 } @mixin m $b { v: 2 } @include m 0;',
+    { from: undefined }
+  )
+  equal(result.css, 'v: 2;')
+  equal(result.warnings().length, 1)
 })
 
-test('has @add-mixin alias', async () => {
-  await run('@mixin a { a: 1 } @add-mixin a', 'a: 1')
+test('chooses mixin by guard without functions', async () => {
+  await run(
+    '@mixin size $s when ($s >= 48px) { p: 16px } @mixin size $s { p: 8px } ' +
+      'a { @include size 48px; } b { @include size 20px; }',
+    'a { p: 16px; } b { p: 8px; }'
+  )
+})
+
+test('chooses mixin by guard', async () => {
+  await run(
+    '@mixin text $c when (lightness($c) > 50%) { color: black } ' +
+      '@mixin text $c { color: white } ' +
+      'a { @include text #fff; } b { @include text #000; }',
+    'a { color: black; } b { color: white; }',
+    {
+      functions: {
+        lightness: color => (color === '#fff' ? '100%' : '0%')
+      }
+    }
+  )
+  let error = await catchError(() =>
+    run('@mixin m $a when $a == x { v: 1 } @include m y;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:35: ' +
+      'No definition of mixin m matches @include m y'
+  )
+})
+
+test('merges calls of extendable mixin', async () => {
+  await run(
+    '@mixin cf extendable { &::after { clear: both } } @mixin m { m: 1 } ' +
+      '.a { @include cf } .b { @include cf } ' +
+      '.e { @include cf; @include m; color: red } ' +
+      '@media (x) { .c { @include cf } .d, .a { @include cf } }',
+    '.a, .b { &::after { clear: both }} ' +
+      '.e { &::after { clear: both } m: 1; color: red } ' +
+      '@media (x) { .c, .d, .a { &::after { clear: both }} }'
+  )
+})
+
+test('does not split rules by extendable mixin without merge', async () => {
+  await run(
+    '@mixin cf extendable { x: 1 } a { @include cf; y: 1 } b { @include cf }',
+    'a { x: 1; y: 1 } b { x: 1}'
+  )
+  await run(
+    '@mixin cf extendable { x: 1 } a { @include cf; y: 1 } ' +
+      'b { @include cf; z: 1 }',
+    'a { x: 1; y: 1 } b { x: 1; z: 1 }'
+  )
+})
+
+test('keeps declarations order for extendable mixin', async () => {
+  await run(
+    '@mixin cf extendable { color: blue } .b { color: red; @include cf }',
+    '.b { color: red; color: blue}'
+  )
+  await run(
+    '@mixin cf extendable { color: blue } ' +
+      '.a { @include cf } .b { color: red } .b { @include cf }',
+    '.a { color: blue} .b { color: red } .b { color: blue}'
+  )
+})
+
+test('merges calls with the same arguments in extend mode', async () => {
+  await run(
+    '@mixin vh $a { clip: $a } .a { @include vh 1px } .c { @include vh 1px } ' +
+      '.b { @include vh 2px } @include vh 3px;',
+    '.a, .c { clip: 1px} .b { clip: 2px} clip: 3px;',
+    { extend: true }
+  )
+})
+
+test('supports functions in declaration values', async () => {
+  await run(
+    '@function rem $px { @return calc($px / 16px * 1rem) } ' +
+      'a { width: rem(24px); height: rem(rem(2px)); color: rgb(0 0 0) }',
+    'a { width: calc(24px / 16px * 1rem); ' +
+      'height: calc(calc(2px / 16px * 1rem) / 16px * 1rem); color: rgb(0 0 0) }'
+  )
+})
+
+test('supports functions inside mixins', async () => {
+  await run(
+    '@function double $a { @return calc($a * 2) } ' +
+      '@mixin m $a { width: double($a) } a { @include m 2px }',
+    'a { width: calc(2px * 2)}'
+  )
+})
+
+test('supports control flow and typed arguments in functions', async () => {
+  await run(
+    '@function size $a <number>, $b: small { ' +
+      '@if $a > 1 { @return big } @else { @return $b } } ' +
+      'a { v: size(2) size(0) size(0, $b: tiny) }',
+    'a { v: big small tiny }'
+  )
+  let error = await catchError(() =>
+    run('@function f $a <number> { @return 1 } a { w: f(x) }')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:43: ' +
+      'Argument $a in function f should be <number>, got x'
+  )
+})
+
+test('ignores functions in strings', async () => {
+  await run(
+    '@function rem $px { @return calc($px / 16px * 1rem) } ' +
+      "a { content: \"rem(2px)\"; b: rem('1)') 'rem(1px)' rem(1px) }",
+    'a { content: "rem(2px)"; b: calc(1) / 16px * 1rem) \'rem(1px)\' ' +
+      'calc(1px / 16px * 1rem) }'
+  )
+  await run(
+    '@function rem $px { @return calc($px / 16px * 1rem) } ' +
+      'a { content: "\\"rem(2px)" }',
+    'a { content: "\\"rem(2px)" }'
+  )
+  let error = await catchError(() =>
+    run('@function rem $px { @return $px } a { b: f() }', '', {
+      functions: { f: () => 'rem("1px)' }
+    })
+  )
+  equal(error.reason, 'Unclosed bracket in function rem')
+})
+
+test('leaves native CSS functions', async () => {
+  await run(
+    '@function --half(--x) { result: calc(var(--x) / 2) } ' +
+      'a { width: --half(10px) }',
+    '@function --half(--x) { result: calc(var(--x) / 2) } ' +
+      'a { width: --half(10px) }'
+  )
+})
+
+test('throws error on async JS functions', async () => {
+  let error = await catchError(() =>
+    run('a { v: f(1) }', '', {
+      functions: {
+        async f(a) {
+          return a
+        }
+      }
+    })
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:8: Function f returned a Promise'
+  )
+})
+
+test('supports JS functions', async () => {
+  let calls = []
+  await run(
+    'a { v: alpha(#000, .5) pick($b: 1) }',
+    'a { v: rgb(0 0 0 / .5) 1 }',
+    {
+      functions: {
+        alpha(color, amount) {
+          calls.push([color, amount])
+          return `rgb(0 0 0 / ${amount})`
+        },
+        pick(options) {
+          return options.b
+        }
+      }
+    }
+  )
+  deepStrictEqual(calls, [['#000', '.5']])
+})
+
+test('loads functions from mixins files', async () => {
+  await run(
+    'a { width: rem(32px); margin: fluid(1px, 2px) }',
+    'a { width: calc(32px / 16px * 1rem); margin: clamp(1px, 1vw + 1px, 2px) }',
+    { mixinsDir: join(__dirname, 'functions') }
+  )
+  await run(
+    'a { width: ui.rem(8px) }',
+    'a { width: calc(8px / 16px * 1rem) }',
+    {
+      namespaces: { ui: join(__dirname, 'functions') }
+    }
+  )
+})
+
+test('points function errors at declaration', async () => {
+  let error = await catchError(() =>
+    run('@mixin m { b { width: fail(1) } } a { @include m }', '', {
+      functions: {
+        fail() {
+          throw new Error('Bad value')
+        }
+      }
+    })
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:23: Error in function fail: Bad value' +
+      '\n  in mixin m defined at <css input>:1, ' +
+      'included from <css input>:1:39'
+  )
+
+  error = await catchError(() => run('@function f $a { } a { w: f(2) }'))
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:27: Function f did not return a value'
+  )
+
+  error = await catchError(() =>
+    run('@function f $a { @return f($a) } a { w: f(2) }', '', { maxDepth: 5 })
+  )
+  equal(error.reason, 'Functions nesting is deeper than 5 levels')
+
+  error = await catchError(() =>
+    run('a { @include m }', '', {
+      functions: { f: () => 1 },
+      mixins: { m: { a: { w: 'f(1' } } }
+    })
+  )
+  equal(
+    error.reason,
+    'Unclosed bracket in function f\n  in mixin m, included from <css input>:1:5'
+  )
+})
+
+test('interpolates arguments in props, at-rules and nested mixins', async () => {
+  await run(
+    '@mixin border-top { b: top } ' +
+      '@mixin m $side, $size, $bp, $prop { ' +
+      '@media (min-width: $bp) { margin-$(side): $size; $(prop): 0; ' +
+      '--space-$(side): $size; @include border-$(side) } } ' +
+      'a { @include m top, 1px, 10px, padding }',
+    'a { @media (min-width: 10px) { margin-top: 1px; padding: 0; ' +
+      '--space-top: 1px; b: top}}'
+  )
+})
+
+test('supports keyword arguments', async () => {
+  await run(
+    '@mixin m $a, $b: b, $c: c { v: $a $b $c; } @include m 1, $c: 3;',
+    'v: 1 b 3;'
+  )
+})
+
+test('supports only keyword arguments', async () => {
+  await run(
+    '@mixin m $a: a, $b: b { v: $a $b; } @include m($b: 2, $a: "1");',
+    'v: 1 2;'
+  )
+})
+
+test('supports single-arg in keyword arguments', async () => {
+  await run(
+    '@mixin m $a: a, $b: b { v: $a $b; } @include m $b: single-arg(1, 2);',
+    'v: a 1, 2;'
+  )
+})
+
+test('throws error on unknown keyword argument', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $a { v: $a; } @include m $b: 1;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:24: Unknown argument $b in mixin m'
+  )
+})
+
+test('throws error on duplicate keyword argument', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $a { v: $a; } @include m $a: 1, $a: 2;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:24: Duplicate argument $a in mixin m'
+  )
+})
+
+test('throws error on keyword argument passed as positional', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $a { v: $a; } @include m 1, $a: 2;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:24: Duplicate argument $a in mixin m'
+  )
+})
+
+test('throws error on positional argument after keyword', async () => {
+  let error = await catchError(() =>
+    run('@mixin m $a, $b { v: $a; } @include m $a: 1, 2;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:28: ' +
+      'Positional argument 2 after keyword arguments in mixin m'
+  )
+})
+
+test('passes keyword arguments to function mixins', async () => {
+  await run(
+    'a { @include m 1, $size: 2, $color: black; }',
+    'a { v: 1 2 black; }',
+    {
+      mixins: {
+        m(rule, value, options) {
+          return { v: `${value} ${options.size} ${options.color}` }
+        }
+      }
+    }
+  )
+})
+
+test('supports @if and @else in CSS mixins', async () => {
+  await run(
+    '@mixin t $theme { ' +
+      '@if $theme == dark { color: white } ' +
+      '@else if $theme == light { color: black } ' +
+      '@else { color: red } } ' +
+      'a { @include t dark; } b { @include t light; } c { @include t blue; }',
+    'a { color: white; } b { color: black; } c { color: red; }'
+  )
+})
+
+test('supports logical operators in @if', async () => {
+  await run(
+    '@mixin t $a, $b: false { ' +
+      '@if $a != 1 and not $b { a: 1 } ' +
+      '@if $a == 1 or $b { b: 1 } ' +
+      '@if $a { c: 1 } @if "$b" { d: 1 } } ' +
+      'a { @include t 2; } b { @include t 1, true; }',
+    'a { a: 1; c: 1; } b { b: 1; c: 1; d: 1; }'
+  )
+})
+
+test('compares numbers in @if', async () => {
+  await run(
+    '@mixin t $size { ' +
+      '@if $size > 10px { a: 1 } @if $size >= 10 { b: 1 } ' +
+      '@if $size < 10px { c: 1 } @if $size <= 10 { d: 1 } } ' +
+      'a { @include t 10px; } b { @include t 12px; }',
+    'a { b: 1; d: 1; } b { a: 1; b: 1; }'
+  )
+})
+
+test('throws error on comparing different units', async () => {
+  let error = await catchError(() =>
+    run('@mixin t $a { @if $a > 1em { a: 1 } } @include t 1px;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:15: Could not compare 1px and 1em\n' +
+      '  in mixin t defined at <css input>:1, included from <css input>:1:39'
+  )
+})
+
+test('throws error on @else without @if', async () => {
+  let error = await catchError(() =>
+    run('@mixin t { @else { a: 1 } } @include t;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:12: @else without @if\n' +
+      '  in mixin t defined at <css input>:1, included from <css input>:1:29'
+  )
+})
+
+test('throws error on invalid @else', async () => {
+  let error = await catchError(() =>
+    run('@mixin t { @if false {} @else when { a: 1 } } @include t;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:25: Invalid @else condition: when\n' +
+      '  in mixin t defined at <css input>:1, included from <css input>:1:47'
+  )
+})
+
+test('supports @each in CSS mixins', async () => {
+  await run(
+    '@mixin t $sides... { @each $side in $sides { ' +
+      'margin-$(side): 0; @if $side == top { top: 0 } } } ' +
+      'a { @include t top, left; } b { @include t single-arg(right, top); }',
+    'a { margin-top: 0; top: 0; margin-left: 0; } ' +
+      'b { margin-right: 0; margin-top: 0; top: 0; }'
+  )
+})
+
+test('supports control flow in nested rules', async () => {
+  await run(
+    '@mixin t $a { b { @each $i in 1, 2 { c-$(i): $a } } } a { @include t 0; }',
+    'a { b { c-1: 0; c-2: 0 } }'
+  )
+})
+
+test('throws error on invalid @each', async () => {
+  let error = await catchError(() =>
+    run('@mixin t { @each 1, 2 { a: 1 } } @include t;')
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:12: Invalid @each loop: 1, 2\n' +
+      '  in mixin t defined at <css input>:1, included from <css input>:1:34'
+  )
+})
+
+test('adds mixins backtrace to errors', async () => {
+  let from = join(__dirname, 'a.css')
+  let error = await catchError(() =>
+    postcss([mixins()]).process(
+      '@mixin a { @include missing }\n' +
+        '@mixin b {\n  @include a }\n' +
+        'a { @include b }',
+      { from }
+    )
+  )
+  equal(
+    error.message,
+    `postcss-mixins: ${from}:1:12: Undefined mixin missing\n` +
+      `  in mixin a defined at ${from}:1, included from ${from}:3:3\n` +
+      `  in mixin b defined at ${from}:2, included from ${from}:4:5`
+  )
+  equal(error.reason.split('\n')[0], 'Undefined mixin missing')
+})
+
+test('adds mixins backtrace to function mixin errors', async () => {
+  let error = await catchError(() =>
+    run('@mixin b {\n  @include fn }\na { @include b }', '', {
+      mixins: {
+        async fn() {
+          throw new Error('Broken')
+        }
+      }
+    })
+  )
+  equal(
+    error.message,
+    'Broken\n' +
+      '  in mixin fn, included from <css input>:2:3\n' +
+      '  in mixin b defined at <css input>:1, included from <css input>:3:5'
+  )
+})
+
+test('saves mixins stack in nodes', async () => {
+  let from = join(__dirname, 'a.css')
+  let result = await postcss([
+    mixins({ mixinsFiles: join(__dirname, 'mixins', 'a.js') })
+  ]).process(
+    '@mixin b { @include a 1; @mixin-content }\nb { @include b { c: 1 } }',
+    {
+      from
+    }
+  )
+  equal(result.css, 'b { a: 1; c: 1 }')
+  let include = { column: 5, file: from, line: 2 }
+  deepStrictEqual(result.root.first.first.mixinStack, [
+    {
+      file: join(__dirname, 'mixins/a.js'),
+      include: { column: 12, file: from, line: 1 },
+      line: undefined,
+      mixin: 'a'
+    },
+    { file: from, include, line: 1, mixin: 'b' }
+  ])
+  deepStrictEqual(result.root.first.last.mixinStack, [])
+})
+
+test('throws error on mixins cycle', async () => {
+  let error = await catchError(() =>
+    run('@mixin a { @include b }\n@mixin b { @include a }\na { @include a }')
+  )
+  equal(
+    error.message.split('\n')[0],
+    'postcss-mixins: <css input>:2:12: Mixin cycle detected: a -> b -> a'
+  )
+})
+
+test('throws error on function mixins cycle', async () => {
+  let error = await catchError(() =>
+    run('a { @include a }', '', {
+      mixins: {
+        a() {
+          return { '@include a': {} }
+        }
+      }
+    })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin cycle detected: a -> a')
+})
+
+test('throws error on cycle from nodes of function mixin', async () => {
+  let error = await catchError(() =>
+    run('x { @include f }', '', {
+      mixins: {
+        f(rule) {
+          rule.replaceWith(postcss.atRule({ name: 'include', params: 'g' }))
+        },
+        g(rule) {
+          rule.replaceWith(postcss.atRule({ name: 'include', params: 'f' }))
+        }
+      }
+    })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin cycle detected: f -> g -> f')
+
+  error = await catchError(() =>
+    run('x { @include f }', '', {
+      mixins: {
+        f(rule) {
+          rule.after(postcss.atRule({ name: 'include', params: 'f' }))
+        }
+      }
+    })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin cycle detected: f -> f')
+})
+
+test('throws error on too deep mixins nesting', async () => {
+  let error = await catchError(() =>
+    run(
+      '@mixin a { @include b } @mixin b { @include c } @mixin c { c: 1 } ' +
+        '@include a',
+      '',
+      { maxDepth: 2 }
+    )
+  )
+  equal(
+    error.message.split('\n')[0],
+    'postcss-mixins: <css input>:1:36: Mixins nesting is deeper than 2 levels'
+  )
+})
+
+test('throws error on too many generated nodes', async () => {
+  let error = await catchError(() =>
+    run('@mixin a { @each $i in 1, 2, 3 { a: $i } } @include a', '', {
+      maxNodes: 2
+    })
+  )
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:44: Mixin a generated more than 2 nodes'
+  )
+})
+
+test('throws error on too many nodes from function mixin', async () => {
+  let error = await catchError(() =>
+    run('@include a', '', {
+      maxNodes: 1,
+      mixins: {
+        a() {
+          return { a: '1', b: '2' }
+        }
+      }
+    })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin a generated more than 1 nodes')
+})
+
+test('counts nodes added by function mixin', async () => {
+  let error = await catchError(() =>
+    run('x { @include a }', '', {
+      maxNodes: 2,
+      mixins: {
+        a(rule) {
+          rule.replaceWith(postcss.rule({ selector: 'y' }).append('a: 1; b: 2'))
+        }
+      }
+    })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin a generated more than 2 nodes')
+})
+
+test('counts nodes from nested mixins in top-level mixin', async () => {
+  let css = '@mixin m0 { a: 1 }'
+  for (let i = 1; i <= 6; i++) {
+    css += ` @mixin m${i} { @include m${i - 1}; @include m${i - 1} }`
+  }
+  let error = await catchError(() =>
+    run(css + ' a { @include m6 }', '', { maxNodes: 10 })
+  )
+  equal(error.reason.split('\n')[0], 'Mixin m6 generated more than 10 nodes')
+
+  await run(
+    css + ' a { @include m2; @include m2 }',
+    'a { a: 1; a: 1; a: 1; a: 1; a: 1; a: 1; a: 1; a: 1}',
+    {
+      maxNodes: 10
+    }
+  )
+})
+
+test('loads mixins from dir', async () => {
+  let result = await run(
+    'a { @include a 1; @include b; @include c; @include d; @include e; }',
+    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
+    {
+      mixinsDir: join(__dirname, 'mixins')
+    }
+  )
+  deepStrictEqual(
+    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
+    [
+      {
+        file: join(__dirname, 'mixins/a.js'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/b.json'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/c.CSS'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/d.sss'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/e.pcss'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        dir: join(__dirname, 'mixins'),
+        glob: '*.{js,cjs,mjs,json,css,sss,pcss}',
+        parent: '',
+        type: 'dir-dependency'
+      }
+    ]
+  )
+})
+
+test('loads mixins from dir with parent options', async () => {
+  let parent = join(__dirname, 'a.js')
+  let result = await run(
+    'a { @include a 1; @include b; @include c; @include d; @include e; }',
+    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
+    {
+      mixinsDir: join(__dirname, 'mixins'),
+      parent: join(__dirname, 'a.js')
+    }
+  )
+  deepStrictEqual(
+    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
+    [
+      {
+        file: join(__dirname, 'mixins/a.js'),
+        parent,
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/b.json'),
+        parent,
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/c.CSS'),
+        parent,
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/d.sss'),
+        parent,
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'mixins/e.pcss'),
+        parent,
+        type: 'dependency'
+      },
+      {
+        dir: join(__dirname, 'mixins'),
+        glob: '*.{js,cjs,mjs,json,css,sss,pcss}',
+        parent: '',
+        type: 'dir-dependency'
+      }
+    ]
+  )
+})
+
+test('loads mixins from dirs', async () => {
+  let result = await postcss([
+    mixins({
+      mixinsDir: [join(__dirname, 'mixins'), join(__dirname, 'other')]
+    })
+  ]).process('a { @include a 1; @include c; }', { from: undefined })
+  equal(result.css, 'a { a: 1; c: 3; }')
+  deepStrictEqual(
+    result.warnings().map(i => i.text),
+    [
+      'Mixin c is defined in both ' +
+        join(__dirname, 'mixins/c.CSS') +
+        ' and ' +
+        join(__dirname, 'other/c.js')
+    ]
+  )
+})
+
+test('loads mixins from relative dir', async () => {
+  await run(
+    'a { @include a 1; @include b; @include c; @include d; @include e; }',
+    'a { a: 1; b: 2; c: 3; d: 4; e: 5; }',
+    {
+      mixinsDir: 'test/mixins/'
+    }
+  )
+})
+
+test('loads mixins from relative dirs', async () => {
+  let result = await postcss([
+    mixins({ mixinsDir: ['test/mixins', 'test/other'] })
+  ]).process('a { @include a 1; @include c; }', { from: undefined })
+  equal(result.css, 'a { a: 1; c: 3; }')
+  equal(result.warnings().length, 1)
+})
+
+test('loads mixins from file glob', async () => {
+  await run('a { @include a 1; @include b; }', 'a { a: 1; b: 2; }', {
+    mixinsFiles: join(__dirname, 'mixins', '*.{js,json}')
+  })
+})
+
+test('loads mixins from file globs', async () => {
+  await run('a { @include a 1; @include c; }', 'a { a: 1; c: 3; }', {
+    mixinsFiles: [
+      join(__dirname, 'mixins', '*.!(json|css)'),
+      join(__dirname, 'other', '*')
+    ]
+  })
+})
+
+test('loads mixins with namespaces', async () => {
+  let result = await run(
+    'a { @include a 1; @include vendor/a 2; @include ui.button; ' +
+      '@include ui/button-2x; }',
+    'a { a: 1; a: vendor 2; button: 1; button: 2; }',
+    {
+      mixinsDir: join(__dirname, 'mixins'),
+      namespaces: {
+        ui: join(__dirname, 'namespaces', 'ui'),
+        vendor: [join(__dirname, 'namespaces', 'vendor')]
+      }
+    }
+  )
+  deepStrictEqual(
+    result.messages.filter(i => i.type === 'dir-dependency').map(i => i.dir),
+    [
+      join(__dirname, 'mixins'),
+      join(__dirname, 'namespaces', 'ui'),
+      join(__dirname, 'namespaces', 'vendor')
+    ]
+  )
+})
+
+test('supports digits and separators in mixin names', async () => {
+  await run(
+    '@mixin size-2x { a: 1 } @mixin ui.h1 { b: 2 } ' +
+      'a { @include size-2x; @include ui/h1; }',
+    'a { a: 1; b: 2; }'
+  )
+})
+
+test('loads mixins from packages', async () => {
+  let cwd = process.cwd()
+  process.chdir(join(__dirname, 'packages'))
+  let result
+  try {
+    result = await run(
+      'a { @include acme.button; @include tokens; }',
+      'a { button: acme; color: red; }',
+      {
+        packages: {
+          '': '@acme/tokens',
+          'acme': ['acme-mixins']
+        }
+      }
+    )
+  } finally {
+    process.chdir(cwd)
+  }
+  deepStrictEqual(result.messages.map(i => i.file).sort(), [
+    join(__dirname, 'packages/node_modules/@acme/tokens/tokens.js'),
+    join(__dirname, 'packages/node_modules/acme-mixins/mixins/button.css')
+  ])
+})
+
+test('warns about wrong mixins packages', async () => {
+  let cwd = process.cwd()
+  process.chdir(join(__dirname, 'packages'))
+  let result
+  try {
+    result = await postcss([
+      mixins({ packages: ['no-field', 'unknown-mixins', 'broken-json'] })
+    ]).process('', { from: undefined })
+  } finally {
+    process.chdir(cwd)
+  }
+  let warnings = result.warnings().map(i => i.text)
+  equal(
+    warnings[0],
+    'Package no-field has no "postcss-mixins" field in package.json'
+  )
+  equal(warnings[1], 'Could not find mixins package unknown-mixins')
+  let broken = join(__dirname, 'packages/node_modules/broken-json/package.json')
+  equal(warnings[2].startsWith(`Could not read ${broken}: `), true)
+  equal(result.warnings()[2].file, broken)
+})
+
+test('imports mixins from CSS', async () => {
+  let processor = postcss([mixins()])
+  let from = join(__dirname, 'a.css')
+  let result = await processor.process(
+    '@import-mixins "./mixins/e.pcss";\n' +
+      "@use './esm/h.mjs' as icons;\n" +
+      '@use "./other/c.js";\n' +
+      '@import-mixins "./mixins/a.js" as *;\n' +
+      'a { @include e; @include icons.h 1; @include c/c; @include a 2; }',
+    { from }
+  )
+  equal(result.css, 'a { e: 5; h: 1; c: 3; a: 2; }')
+  deepStrictEqual(
+    result.messages.map(i => i.file),
+    [
+      join(__dirname, 'mixins/e.pcss'),
+      join(__dirname, 'esm/h.mjs'),
+      join(__dirname, 'other/c.js'),
+      join(__dirname, 'mixins/a.js')
+    ]
+  )
+  equal(result.messages[0].parent, from)
+
+  let error = await catchError(() =>
+    processor.process('a { @include e; }', { from })
+  )
+  equal(error.reason, 'Undefined mixin e')
+})
+
+test('imports mixins relative to current dir without file', async () => {
+  await run(
+    '@import-mixins "test/mixins/e.pcss"; a { @include e; }',
+    'a { e: 5; }'
+  )
+})
+
+test('leaves Sass modules in @use', async () => {
+  await run(
+    '@use "sass:math"; @use "config" as c; @use "./variables"; ' +
+      '@use "./theme.scss"; a { @include a 1; }',
+    '@use "sass:math"; @use "config" as c; @use "./variables"; ' +
+      '@use "./theme.scss"; a { a: 1; }',
+    { mixinsDir: join(__dirname, 'mixins') }
+  )
+})
+
+test('throws error on missing imported mixins', async () => {
+  let error = await catchError(() => run('@use "./unknown.css";'))
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:1: Could not find mixins file ./unknown.css'
+  )
+})
+
+test('throws error on invalid mixins import', async () => {
+  let error = await catchError(() => run('@import-mixins mixins;'))
+  equal(
+    error.message,
+    'postcss-mixins: <css input>:1:1: Invalid @import-mixins path: mixins'
+  )
+})
+
+test('loads mixins with dependencies', async () => {
+  let result = await run('a { @include f; }', 'a { g: 5; }', {
+    mixinsFiles: join(__dirname, 'deps', 'f.js')
+  })
+  deepStrictEqual(
+    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
+    [
+      {
+        file: join(__dirname, 'deps/f.js'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'deps/g.js'),
+        parent: join(__dirname, 'deps/f.js'),
+        type: 'dependency'
+      }
+    ]
+  )
+})
+
+test('warns about broken mixin files', async () => {
+  let result = await postcss([
+    mixins({ mixinsDir: join(__dirname, 'broken') })
+  ]).process('a { @include l; }', { from: undefined })
+  equal(result.css, 'a { l: 1; }')
+  let warnings = result.warnings()
+  deepStrictEqual(
+    warnings.map(i => i.text),
+    [
+      'Could not load mixins from ' +
+        join(__dirname, 'broken/j.js') +
+        ': Broken mixin',
+      'Could not load mixins from ' +
+        join(__dirname, 'broken/k.css') +
+        ': ' +
+        join(__dirname, 'broken/k.css') +
+        ':1:1: Unclosed block'
+    ]
+  )
+  equal(warnings[0].file, join(__dirname, 'broken/j.js'))
+  equal(warnings[0].error.message, 'Broken mixin')
+  deepStrictEqual(
+    result.messages
+      .filter(i => i.type === 'dependency')
+      .map(i => i.file)
+      .sort(),
+    [
+      join(__dirname, 'broken/j.js'),
+      join(__dirname, 'broken/k.css'),
+      join(__dirname, 'broken/l.pcss')
+    ]
+  )
+})
+
+test('throws on broken mixin files in strict mode', async () => {
+  let error = await catchError(() =>
+    run('a { @include l; }', 'a { l: 1; }', {
+      mixinsFiles: join(__dirname, 'broken', '*.js'),
+      strict: true
+    })
+  )
+  equal(
+    error.message,
+    'Could not load mixins from ' +
+      join(__dirname, 'broken/j.js') +
+      ': Broken mixin'
+  )
+  equal(error.file, join(__dirname, 'broken/j.js'))
+  equal(error.cause.message, 'Broken mixin')
+})
+
+test('loads ES modules mixins', async () => {
+  let result = await run(
+    'a { @include h 1; @include i; }',
+    'a { h: 1; i: 6; }',
+    {
+      mixinsFiles: [
+        join(__dirname, 'esm', '*.mjs'),
+        join(__dirname, 'esm', 'module', '*.js')
+      ]
+    }
+  )
+  deepStrictEqual(
+    result.messages.sort((a, b) => a.file && a.file.localeCompare(b.file)),
+    [
+      {
+        file: join(__dirname, 'esm/h.mjs'),
+        parent: '',
+        type: 'dependency'
+      },
+      {
+        file: join(__dirname, 'esm/module/i.js'),
+        parent: '',
+        type: 'dependency'
+      }
+    ]
+  )
+})
+
+test('supports async function mixins', async () => {
+  await run('a { @include color black; }', 'a { color: black; }', {
+    mixins: {
+      async color(rule, color) {
+        await Promise.resolve()
+        return { color }
+      }
+    }
+  })
+})
+
+test('waits for async nested function mixins', async () => {
+  await run(
+    'a { @include parent { @include child; } }',
+    'a { .parent { color: white } }',
+    {
+      mixins: {
+        async child() {
+          await Promise.resolve()
+          return { color: 'white' }
+        },
+        parent(mixin) {
+          let rule = postcss.rule({ selector: '.parent' })
+          rule.append(mixin.nodes)
+          mixin.replaceWith(rule)
+        }
+      }
+    }
+  )
+})
+
+test('caches loaded mixin files', async () => {
+  let file = join(__dirname, 'cache', 'counter.js')
+  let opts = { mixinsFiles: file }
+  let loads = global.counterLoads ?? 0
+  await run('@include counter', `loads: ${loads + 1}`, opts)
+  await run('@include counter', `loads: ${loads + 1}`, opts)
+
+  let time = new Date(Date.now() + 1000)
+  utimesSync(file, time, time)
+  await run('@include counter', `loads: ${loads + 2}`, opts)
+
+  mixins.clearCache()
+  await run('@include counter', `loads: ${loads + 3}`, opts)
+
+  opts.cache = false
+  await run('@include counter', `loads: ${loads + 4}`, opts)
+})
+
+test('reports dependencies of cached mixins', async () => {
+  let opts = { mixinsFiles: join(__dirname, 'deps', 'f.js') }
+  await run('a { @include f; }', 'a { g: 5; }', opts)
+  let result = await run('a { @include f; }', 'a { g: 5; }', opts)
+  deepStrictEqual(result.messages.map(i => i.file).sort(), [
+    join(__dirname, 'deps/f.js'),
+    join(__dirname, 'deps/g.js')
+  ])
+})
+
+test('reports mixins usage', async () => {
+  let from = join(__dirname, 'a.css')
+  let result = await postcss([
+    mixins({
+      mixins: {
+        fn() {
+          return { c: '3' }
+        }
+      },
+      mixinsFiles: join(__dirname, 'mixins', 'c.CSS'),
+      reportUsage: true
+    })
+  ]).process(
+    '@mixin a { b: 1 }\n@mixin b { @include a }\n' +
+      'a { @include b; @include fn; @include b; }',
+    { from }
+  )
+  equal(result.css, 'a { b: 1; c: 3; b: 1; }')
+  equal(result.warnings().length, 0)
+  deepStrictEqual(
+    result.messages.filter(i => i.type.startsWith('mixin-usage')),
+    [
+      {
+        column: 5,
+        definition: from,
+        file: from,
+        line: 3,
+        mixin: 'b',
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage'
+      },
+      {
+        column: 17,
+        definition: undefined,
+        file: from,
+        line: 3,
+        mixin: 'fn',
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage'
+      },
+      {
+        column: 30,
+        definition: from,
+        file: from,
+        line: 3,
+        mixin: 'b',
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage'
+      },
+      {
+        column: 12,
+        definition: from,
+        file: from,
+        line: 2,
+        mixin: 'a',
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage'
+      },
+      {
+        column: 12,
+        definition: from,
+        file: from,
+        line: 2,
+        mixin: 'a',
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage'
+      },
+      {
+        plugin: 'postcss-mixins',
+        type: 'mixin-usage-summary',
+        unused: ['c'],
+        used: { a: 2, b: 2, fn: 1 }
+      }
+    ]
+  )
+})
+
+test('collects mixins usage across stylesheets', async () => {
+  let plugin = mixins({
+    mixins: { fn() {} },
+    mixinsFiles: join(__dirname, 'mixins', '*.{CSS,js}')
+  })
+  let processor = postcss([plugin])
+  let from = join(__dirname, 'a.css')
+  await processor.process('@mixin local { b: 1 }\na { @include c; }', { from })
+  let result = await processor.process('a { @include a 1; @include c; }', {
+    from: join(__dirname, 'b.css')
+  })
+  equal(result.warnings().length, 0)
+  equal(
+    result.messages.some(i => i.type.startsWith('mixin-usage')),
+    false
+  )
+  deepStrictEqual(plugin.getUsage(), {
+    unused: [
+      { file: undefined, line: undefined, mixin: 'fn' },
+      { file: from, line: 1, mixin: 'local' }
+    ],
+    used: { a: 1, c: 2 }
+  })
+
+  plugin.clearUsage()
+  deepStrictEqual(plugin.getUsage(), { unused: [], used: {} })
+})
+
+test('compares mixins usage by definition', async () => {
+  let plugin = mixins()
+  let processor = postcss([plugin])
+  let a = join(__dirname, 'a.css')
+  let b = join(__dirname, 'b.css')
+  await processor.process('@mixin m { a: 1 }\n.card { @mixin local {} }', {
+    from: a
+  })
+  await processor.process('@mixin m { b: 1 }\na { @include m }', { from: b })
+  deepStrictEqual(plugin.getUsage(), {
+    unused: [
+      { file: a, line: 1, mixin: 'm' },
+      { file: a, line: 2, mixin: 'local' }
+    ],
+    used: { m: 1 }
+  })
+})
+
+test('warns about unused mixins', async () => {
+  let result = await postcss(
+    mixins({
+      mixins: { fn() {}, used() {} },
+      mixinsFiles: join(__dirname, 'mixins', 'b.json'),
+      reportUnused: true
+    })
+  ).process(
+    '@mixin m { a: 1 }\n.card { @mixin local {} }\na { @include used }',
+    { from: 'a.css' }
+  )
+  deepStrictEqual(
+    result.warnings().map(i => [i.text, i.line]),
+    [
+      ['Mixin fn is never used', undefined],
+      [
+        `Mixin b from ${join(__dirname, 'mixins', 'b.json')} is never used`,
+        undefined
+      ],
+      ['Mixin m is never used', 1],
+      ['Mixin local is never used', 2]
+    ]
+  )
+})
+
+test('coverts mixins values', async () => {
+  let processor = postcss(
+    mixins({
+      mixins: {
+        empty() {
+          return { width: 0 }
+        }
+      }
+    })
+  )
+  let result = await processor.process('a{ @include empty; }', {
+    from: 'a.css'
+  })
+  equal(typeof result.root.first.first.value, 'string')
+})
+
+test('supports nested mixins', async () => {
+  await run(
+    '@mixin a $a { a: $a; } ' +
+      '@mixin b $b { @include a $b; } ' +
+      '@include b 1;',
+    'a: 1;'
+  )
+})
+
+test('supports mixins defined after include', async () => {
+  await run(
+    'a { @include m; w: f(1) } @mixin m { m: 1 } @function f $a { @return $a }',
+    'a { m: 1; w: 1 }'
+  )
+})
+
+test('warns about mixin redefinition in the same scope', async () => {
+  let result = await postcss([mixins()]).process(
+    '@mixin m { a: 1 } b { @include m } @mixin m { a: 2 } c { @include m } ' +
+      'd { @mixin m { a: 3 } @include m }',
+    { from: undefined }
+  )
+  equal(result.css, 'b { a: 2} c { a: 2} d { a: 3}')
+  deepStrictEqual(
+    result.warnings().map(i => i.toString()),
+    [
+      'postcss-mixins: <css input>:1:36: @mixin m is defined twice ' +
+        'in the same scope, the last definition is used by all @include'
+    ]
+  )
+})
+
+test('limits nested mixins by their block', async () => {
+  await run(
+    '@mixin m { w: 1 } .card { @mixin m { w: card } ' +
+      '@media (x) { @mixin m { w: media } b { @include m } } c { @include m } } ' +
+      'd { @include m }',
+    '.card { @media (x) { b { w: media} } c { w: card} } d { w: 1}'
+  )
+  let error = await catchError(() =>
+    run('.c { @mixin m { w: 1 } } d { @include m }')
+  )
+  equal(error.message, 'postcss-mixins: <css input>:1:30: Undefined mixin m')
+})
+
+test('limits nested functions by their block', async () => {
+  await run(
+    'a { w: f(1) } .c { @function f $a { @return local } b { w: f(1) } } ' +
+      '@function f $a { @return $a }',
+    'a { w: 1 } .c { b { w: local } }'
+  )
+})
+
+test('supports definitions inside mixins', async () => {
+  await run(
+    '@mixin outer { @mixin inner { i: f(1) } @function f $a { @return $a } ' +
+      '@include inner } a { @include outer } ' +
+      '@mixin m { @mixin-content } b { @include m { @mixin x { x: 1 } @include x } }',
+    'a { i: 1} b { x: 1 }'
+  )
+})
+
+test('supports nested mixins in mixin-content', async () => {
+  await run(
+    '@mixin a { a: 1 } ' +
+      '@mixin b { b { @mixin-content } } ' +
+      '@include b { @include a }',
+    'b { a: 1}'
+  )
+})
+
+test('supports nested mixins on object mixins', async () => {
+  await run('@mixin a { a: a; } @include b;', 'a: a;', {
+    mixins: {
+      b: {
+        '@include a': {}
+      }
+    }
+  })
+})
+
+test('supports default arguments in nested mixins', async () => {
+  await run(
+    '@mixin a $a: 1 { a: $a } ' +
+      '@mixin b $b { @include a $b } ' +
+      '@include b;',
+    'a: 1;'
+  )
+})
+
+test('works in sync mode on no option', () => {
+  let input = '@mixin a { a: 1 }; @include a'
+  let out = 'a: 1'
+  equal(postcss(mixins()).process(input, { from: 'a.css' }).css, out)
+})
+
+test('works in sync mode with function mixins and dirs', () => {
+  let plugin = mixins({
+    mixins: {
+      color(rule, color) {
+        return { color }
+      }
+    },
+    mixinsDir: join(__dirname, 'mixins')
+  })
+  let input = 'a { @include a 1; @include color black; }'
+  let out = 'a { a: 1; color: black; }'
+  equal(postcss([plugin]).process(input, { from: 'a.css' }).css, out)
+})
+
+test('describes loaded mixins', async () => {
+  let file = join(__dirname, 'registry', 'card.pcss')
+  let { mixins: list, warnings } = await mixins.loadMixins({
+    mixins: {
+      args: { '@args': '$a: 1' },
+      fn: Object.assign(() => {}, { args: ['$a'] }),
+      obj: { a: { '@mixin-content': {} } }
+    },
+    mixinsFiles: [file, join(__dirname, 'functions', '*.css')],
+    namespaces: { vendor: join(__dirname, 'namespaces', 'vendor') }
+  })
+  deepStrictEqual(warnings, [])
+  equal(list[1].definition, '() => {}')
+  equal(list[2].definition, '{\n  "a": {\n    "@mixin-content": {}\n  }\n}')
+  equal(list[4].definition, '@mixin size $s {\n  width: $s;\n}')
+  for (let item of list) delete item.definition
+  deepStrictEqual(list, [
+    {
+      args: [{ default: '1', name: 'a' }],
+      content: false,
+      file: undefined,
+      kind: 'object',
+      name: 'args'
+    },
+    {
+      args: [{ default: '', name: 'a' }],
+      content: false,
+      file: undefined,
+      kind: 'function',
+      name: 'fn'
+    },
+    { content: true, file: undefined, kind: 'object', name: 'obj' },
+    {
+      args: [
+        { default: '10px', name: 'padding', type: '<length>' },
+        { default: '', name: 'shadows', rest: true }
+      ],
+      content: true,
+      file,
+      kind: 'css',
+      line: 1,
+      name: 'card'
+    },
+    {
+      args: [{ default: '', name: 's' }],
+      content: false,
+      file,
+      kind: 'css',
+      line: 7,
+      name: 'size'
+    },
+    {
+      args: [
+        { default: '', name: 'w' },
+        { default: '', name: 'h' }
+      ],
+      content: false,
+      file,
+      guard: '$w != 0',
+      kind: 'css',
+      line: 11,
+      name: 'size'
+    },
+    {
+      content: false,
+      file: join(__dirname, 'namespaces', 'vendor', 'a.js'),
+      kind: 'function',
+      name: 'vendor.a'
+    }
+  ])
+})
+
+test('returns load problems of mixins files', async () => {
+  let { warnings } = await mixins.loadMixins({
+    mixinsFiles: join(__dirname, 'broken', 'k.css')
+  })
+  equal(warnings.length, 1)
+  equal(warnings[0].file, join(__dirname, 'broken', 'k.css'))
+})
+
+test('checks arguments count', async () => {
+  let opts = { checkCalls: true }
+  await run('@mixin m $a, $b: 1 { v: $a $b } @include m 0;', 'v: 0 1;', opts)
+  let error = await catchError(() =>
+    run('@mixin m $a { } @include m 1, 2;', '', opts)
+  )
+  equal(error.reason, 'Wrong number of arguments in mixin m: expected 1, got 2')
+  error = await catchError(() =>
+    run('@mixin m $a, $b: 1 { } @include m;', '', opts)
+  )
+  equal(
+    error.reason,
+    'Wrong number of arguments in mixin m: expected 1-2, got 0'
+  )
+  error = await catchError(() =>
+    run('@mixin m $a, $b... { } @include m;', '', opts)
+  )
+  equal(
+    error.reason,
+    'Wrong number of arguments in mixin m: expected at least 1, got 0'
+  )
+})
+
+test('checks function mixins arguments by metadata', async () => {
+  function icon(rule, ...names) {
+    rule.replaceWith({ prop: 'icon', value: names.join(' ') })
+  }
+  function pad(rule, a, b = 1) {
+    return { a, b }
+  }
+  function size() {}
+  size.args = '$w, $h: 0'
+  let opts = { checkCalls: true, mixins: { icon, pad, size } }
+  await run(
+    '@include icon a, b; @include pad 1, 2; @include size 1;',
+    'icon: a b; a: 1; b: 2;',
+    opts
+  )
+
+  let error = await catchError(() => run('@include size;', '', opts))
+  equal(
+    error.reason,
+    'Wrong number of arguments in mixin size: expected 1-2, got 0'
+  )
+  error = await catchError(() => run('@include size 1, $d: 1;', '', opts))
+  equal(
+    error.reason,
+    'Wrong number of arguments in mixin size: expected 1-2, got 2'
+  )
+})
+
+test('checks content', async () => {
+  let opts = { checkCalls: true, mixins: { obj: { a: '1' } } }
+  let error = await catchError(() =>
+    run('@mixin m { a: 1 } @include m { b: 1 }', '', opts)
+  )
+  equal(error.reason, 'Content is passed to mixin m, which does not use it')
+  error = await catchError(() => run('@include obj { b: 1 }', '', opts))
+  equal(error.reason, 'Content is passed to mixin obj, which does not use it')
+})
+
+test('warns about wrong calls', async () => {
+  let result = await postcss([mixins({ checkCalls: 'warn' })]).process(
+    '@mixin m $a { a: $a } @include m 1, 2 { b: 1 }',
+    { from: undefined }
+  )
+  equal(result.css, 'a: 1')
+  deepStrictEqual(
+    result.warnings().map(i => i.text),
+    [
+      'Wrong number of arguments in mixin m: expected 1, got 2',
+      'Content is passed to mixin m, which does not use it'
+    ]
+  )
+})
+
+test('checks calls and load problems separately', async () => {
+  await run('@mixin m $a { a: $a } @include m 1, 2', 'a: 1', { strict: true })
+  let result = await postcss([
+    mixins({
+      checkCalls: true,
+      mixinsFiles: join(__dirname, 'broken', 'k.css')
+    })
+  ]).process('', { from: undefined })
+  equal(result.warnings().length, 1)
+})
+
+test('allows to disable call checks for mixin', async () => {
+  function fn(rule) {
+    rule.remove()
+  }
+  fn.args = '$a'
+  fn.lenient = true
+  await run(
+    '@mixin m $a lenient { a: $a } @include m 1, 2 { b: 1 } ' +
+      '@include fn 1, 2; @include obj 1 { c: 1 }',
+    'a: 1; a: 1px',
+    {
+      checkCalls: true,
+      mixins: { fn, obj: { '@lenient': true, 'a': 1 } }
+    }
+  )
+})
+
+test('lists mixins in CLI', () => {
+  let result = cli('list', '--mixins-dir', 'registry', '--mixins-files', 'x.js')
+  equal(result.code, 0)
+  equal(
+    result.out,
+    'card($padding <length>: 10px, $shadows...)  registry/card.pcss:1\n' +
+      'size($s)  registry/card.pcss:7\n' +
+      'size($w, $h) when ($w != 0)  registry/card.pcss:11\n'
+  )
+
+  result = cli('list', '--mixins-files', 'mixins/{a.js,b.json}')
+  equal(result.out, 'a (function)  mixins/a.js\nb (object)  mixins/b.json\n')
+
+  result = cli('list', '--mixins-files', 'broken/k.css')
+  equal(result.code, 0)
+  equal(
+    result.err.split(':')[0],
+    `Could not load mixins from ${join(__dirname, 'broken', 'k.css')}`
+  )
+})
+
+test('shows mixin definition in CLI', () => {
+  let result = cli('show', 'size', '--mixins-dir', 'registry')
+  equal(result.code, 0)
+  equal(
+    result.out,
+    '/* registry/card.pcss:7 */\n@mixin size $s {\n  width: $s;\n}\n' +
+      '/* registry/card.pcss:11 */\n@mixin size $w, $h when $w != 0 {\n' +
+      '  width: $w;\n  height: $h;\n}\n'
+  )
+
+  result = cli('show', 'missing', '--mixins-dir', 'registry')
+  equal(result.code, 1)
+  equal(result.err, 'Unknown mixin missing\n')
+})
+
+test('expands mixins in CLI', () => {
+  let result = cli('expand', 'cli/ok.css', '--mixins-dir', 'registry')
+  equal(result.code, 0)
+  equal(
+    result.out,
+    '.card {\n  padding: 4px;\n  box-shadow: 0 1px 2px black;\n}\n\n'
+  )
+})
+
+test('checks stylesheets in CLI', () => {
+  let result = cli('check', 'cli/ok.css', '--mixins-dir', 'registry')
+  equal(result.code, 0)
+  equal(result.out, 'Checked 1 files\n')
+
+  result = cli('check', 'cli/*.css', '--mixins-dir', 'registry')
+  equal(result.code, 1)
+  equal(
+    result.err,
+    `postcss-mixins: ${join(__dirname, 'cli', 'arity.css')}:6:3: ` +
+      'Wrong number of arguments in mixin pad: expected 1, got 2\n' +
+      `postcss-mixins: ${join(__dirname, 'cli', 'undefined.css')}:2:3: ` +
+      'Undefined mixin missing\n' +
+      'Found 2 problems in 3 files\n'
+  )
+
+  result = cli('check', 'cli/*.scss', '--mixins-dir', 'registry')
+  equal(result.code, 1)
+  equal(result.err, 'No files match cli/*.scss\n')
+})
+
+test('prints CLI help', () => {
+  let result = cli('--help')
+  equal(result.code, 0)
+  equal(result.out.split('\n')[0], 'Usage: postcss-mixins <command> [options]')
+
+  result = cli('unknown')
+  equal(result.code, 1)
+  equal(result.err.split('\n')[0], 'Usage: postcss-mixins <command> [options]')
+})
+
+test('has @add-mixin alias', async () => {
+  await run('@mixin a { a: 1 } @add-mixin a', 'a: 1')
+})
+
+test('supports raw() for arguments with comma', async () => {
+  await run(
+    '@mixin m $font, $q { @media $q { .a, $font { font: $font } } } ' +
+      '@include m raw(Arial, sans-serif), raw(screen, print);',
+    '@media screen, print { .a, Arial, sans-serif { font: Arial, sans-serif } }'
+  )
+  await run(
+    '@mixin m $a { v: $a } @include m raw(1) raw(2);',
+    'v: raw(1) raw(2);'
+  )
+})
+
+test('unwraps single-arg in function mixins result', async () => {
+  let args
+  await run('@include m single-arg(1, 2), 3;', 'a: 1, 2;\nb: 3;', {
+    mixins: {
+      m(rule, ...params) {
+        args = params
+        return { a: params[0], b: params[1] }
+      }
+    }
+  })
+  deepStrictEqual(args, ['single-arg(1, 2)', '3'])
+})
+
+test('passes raw() arguments to function mixins', async () => {
+  let args
+  await run('@include m raw(1, 2), $b: raw(3, 4);', '', {
+    mixins: {
+      m(rule, ...params) {
+        args = params
+      }
+    }
+  })
+  deepStrictEqual(args, ['1, 2', { b: '3, 4' }])
+})
+
+test('keeps raw() arguments in nested mixins', async () => {
+  await run(
+    '@mixin a $p, $q: 0 { a: $p; q: $q } ' +
+      '@mixin b $x, $rest... { @include a $(x); @include a $rest } ' +
+      '@include b raw(1, 2), 3, 4;',
+    'a: 1, 2;\nq: 0;\na: 3;\nq: 4;'
+  )
+  await run('@include b raw(1, 2);', 'a: 1, 2;', {
+    mixins: {
+      a: { '@args': '$p', 'a': '$p' },
+      b: { '@args': '$x', '@include a $x': {} }
+    }
+  })
 })
 
 test('treats single-arg content as a single argument', async () => {